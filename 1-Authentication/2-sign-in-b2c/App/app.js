@@ -61,6 +61,17 @@ async function main() {
             }
         );
 
+        app.get(
+            '/profile/edit',
+            (req, res, next) => {
+                return req.authContext.login({
+                    postLoginRedirectUri: "/id", // redirect here after the profile is edited
+                    scopes: [],
+                    policy: "editProfile", // name of the policy in authConfig.js
+                })(req, res, next);
+            }
+        );
+
         app.get(
             '/signout',
             (req, res, next) => {
@@ -2,9 +2,15 @@
  * For enhanced security, consider using client certificates instead of secrets.
  * See README-use-certificate.md for more.
  */
+const policies = {
+    signUpSignIn: 'https://Enter_the_B2C_Tenant_Subdomain_Here.b2clogin.com/Enter_the_B2C_Tenant_Subdomain_Here.onmicrosoft.com/Enter_the_SignUpSignIn_Policy_Name_Here',
+    resetPassword: 'https://Enter_the_B2C_Tenant_Subdomain_Here.b2clogin.com/Enter_the_B2C_Tenant_Subdomain_Here.onmicrosoft.com/Enter_the_ResetPassword_Policy_Name_Here',
+    editProfile: 'https://Enter_the_B2C_Tenant_Subdomain_Here.b2clogin.com/Enter_the_B2C_Tenant_Subdomain_Here.onmicrosoft.com/Enter_the_EditProfile_Policy_Name_Here',
+};
+
 const authConfig = {
     auth: {
-        authority: 'https://Enter_the_B2C_Tenant_Subdomain_Here.b2clogin.com/Enter_the_B2C_Tenant_Subdomain_Here.onmicrosoft.com/Enter_the_Policy_Name_Here',
+        authority: policies.signUpSignIn,
         clientId: "Enter_the_Application_Id_Here",
         clientSecret: "Enter_the_Client_Secret_Here",
         // clientCertificate: {
@@ -14,6 +20,7 @@ const authConfig = {
         redirectUri: "/redirect",
         knownAuthorities: ["Enter_the_B2C_Tenant_Subdomain_Here.b2clogin.com"],
     },
+    policies: policies, // the wrapper starts the resetPassword policy when a user has forgotten their password
     system: {
         loggerOptions: {
             loggerCallback: (logLevel, message, containsPii) => {
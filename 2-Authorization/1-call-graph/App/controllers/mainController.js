@@ -1,5 +1,6 @@
 const fetchManager = require('../utils/fetchManager');
 const graphManager = require('../utils/graphManager');
+const { ClaimsChallengeError } = require('msal-node-wrapper');
 
 exports.getHomePage = (req, res, next) => {
     const username = req.authContext.getAccount() ? req.authContext.getAccount().username : '';
@@ -51,8 +52,15 @@ exports.getProfilePage = async (req, res, next) => {
 
         res.render('profile', { isAuthenticated: req.authContext.isAuthenticated(), profile: profile });
     } catch (error) {
+        /**
+         * Microsoft Graph may respond with a claims challenge, e.g. when Continuous Access Evaluation revokes the
+         * user's session. The interactionErrorHandler middleware requests the claims with the next token.
+         */
+        const claimsChallenge = error.statusCode === 401 && error.headers ?
+            ClaimsChallengeError.createFromHeader(error.headers.get('WWW-Authenticate'), 'https://graph.microsoft.com') : null;
+
         // pass error to error middleware for handling
-        next(error);
+        next(claimsChallenge || error);
     }
 }
 
@@ -4,6 +4,7 @@
  */
 
 const fetch = require('isomorphic-fetch');
+const { ClaimsChallengeError } = require('msal-node-wrapper');
 
 /**
  * Simple function to call an Azure AD protected resource
@@ -24,8 +25,25 @@ callAPI = async(endpoint, accessToken) => {
 
     try {
         const response = await fetch(endpoint, options);
+
+        if (response.status === 401) {
+            /**
+             * The resource may reject the token with a claims challenge, e.g. when Continuous Access Evaluation
+             * revokes the user's session. Pass the error to the interactionErrorHandler middleware to handle it.
+             */
+            const claimsChallenge = ClaimsChallengeError.createFromHeader(response.headers.get('WWW-Authenticate'), endpoint);
+
+            if (claimsChallenge) {
+                throw claimsChallenge;
+            }
+        }
+
         return response.json();
     } catch(error) {
+        if (error instanceof ClaimsChallengeError) {
+            throw error;
+        }
+
         console.log(error)
         return error;
     }
@@ -35,10 +35,9 @@ exports.getProfilePage = async (req, res, next) => {
              * if an interaction required error is thrown, you need to catch it and pass it 
              * to the interactionErrorHandler middleware.
              */
-            const tokenResponse = await req.authContext.acquireToken({
+            const tokenResponse = await req.authContext.getToken({
                 scopes: ["User.Read"],
-                account: req.authContext.getAccount(),
-            })(req, res, next);
+            });
 
             accessToken = tokenResponse.accessToken;
         }
@@ -58,10 +57,9 @@ exports.getProfilePage = async (req, res, next) => {
 
 exports.getTenantPage = async (req, res, next) => {
     try {
-        const tokenResponse = await req.authContext.acquireToken({
+        const tokenResponse = await req.authContext.getToken({
             scopes: ["https://management.azure.com/user_impersonation"],
-            account: req.authContext.getAccount(),
-        })(req, res, next);
+        });
 
         const tenant = await fetchManager.callAPI("https://management.azure.com/tenants?api-version=2020-01-01", tokenResponse.accessToken);
         res.render('tenant', { isAuthenticated: req.authContext.isAuthenticated(), tenant: tenant.value[0] });
@@ -33,6 +33,15 @@ async function main() {
     app.use(express.urlencoded({ extended: false }));
     app.use(express.json());
 
+    // HTML forms can only send GET and POST, so the delete form posts a _method field that turns it into a DELETE request
+    app.use((req, res, next) => {
+        if (req.method === 'POST' && req.body && req.body._method === 'DELETE') {
+            req.method = 'DELETE';
+        }
+
+        next();
+    });
+
     app.set('views', path.join(__dirname, './views'));
     app.set('view engine', 'ejs');
 
@@ -47,25 +56,11 @@ async function main() {
 
         app.use(authProvider.authenticate({
             protectAllRoutes: true, // enforce login for all routes
+            publicRoutes: ['/'], // except for the home page
         }));
 
-        app.get(
-            '/todolist',
-            authProvider.guard({
-                idTokenClaims: {
-                    roles: ["TaskUser", "TaskAdmin"], // require the user's ID token to have either of these role claims
-                },
-            }),
-        );
-
-        app.get(
-            '/dashboard',
-            authProvider.guard({
-                idTokenClaims: {
-                    roles: ["TaskAdmin"], // require the user's ID token to have this role claim
-                },
-            })
-        );
+        // require the user's ID token to have the role claims listed in the access matrix for each route and method
+        app.use(['/todolist', '/dashboard'], authProvider.accessControl());
 
         app.use(mainRouter);
 
@@ -76,6 +71,9 @@ async function main() {
          */
         app.use(authProvider.interactionErrorHandler());
 
+        // respond to users who are denied access to a route with the denied page
+        app.use(authProvider.accessDeniedHandler({ view: 'denied' }));
+
         return app;
     } catch (error) {
         console.log(error);
@@ -13,6 +13,32 @@ const authConfig = {
         // }
         redirectUri: "/redirect",
     },
+    /**
+     * Each route lists the HTTP methods it allows, and the app roles a user needs for each method.
+     * The access matrix is enforced by the accessControl() middleware in app.js
+     */
+    accessMatrix: {
+        todolist: {
+            path: "/todolist",
+            methods: {
+                GET: { roles: ["TaskUser", "TaskAdmin"] },
+                POST: { roles: ["TaskUser", "TaskAdmin"] },
+                DELETE: { roles: ["TaskAdmin"] },
+            },
+        },
+        dashboard: {
+            path: "/dashboard",
+            methods: {
+                GET: { roles: ["TaskAdmin"] },
+            },
+        },
+    },
+    /**
+     * Submits the todolist form again if a login interrupts it, e.g. after the session has expired
+     */
+    replayRequests: {
+        maxBodySize: 4096,
+    },
     system: {
         loggerOptions: {
             loggerCallback: (logLevel, message, containsPii) => {
@@ -23,22 +23,21 @@ exports.getTodos = (req, res) => {
 
 exports.postTodo = (req, res) => {
     const owner = req.authContext.getAccount().idTokenClaims['oid'];
-    req.body._method === "DELETE" ? deleteTodo(req, owner) : addTodo(req, owner);
-    
-    res.redirect('/todolist');
-}
-
-const addTodo = (req, owner) => {
     const id = nanoid();
     const name = req.body.name;
 
     const newTodo = new Todo(id, name, owner)
 
     Todo.postTodo(newTodo);
-};
 
-const deleteTodo = (req, owner) => {
+    res.redirect('/todolist');
+}
+
+exports.deleteTodo = (req, res) => {
+    const owner = req.authContext.getAccount().idTokenClaims['oid'];
     const id = req.body.id;
 
     Todo.deleteTodo(id, owner);
-};
\ No newline at end of file
+
+    res.redirect('/todolist');
+}
\ No newline at end of file
@@ -7,5 +7,6 @@ const router = express.Router();
 // user routes
 router.get('/', todolistController.getTodos);
 router.post('/', todolistController.postTodo);
+router.delete('/', todolistController.deleteTodo);
 
 module.exports = router;
\ No newline at end of file
@@ -21,6 +21,12 @@ describe('Sanitize configuration object', () => {
         expect(regexGuid.test(authConfig.auth.tenantId)).toBe(false);
     });
 
+    it('should allow deleting tasks to admins only', () => {
+        const { todolist } = authConfig.accessMatrix;
+
+        expect(todolist.methods.DELETE).toEqual({ roles: ["TaskAdmin"] });
+    });
+
     it('should not contain client secret', () => {
         const regexSecret = /^(?=.*?[A-Z])(?=.*?[a-z])(?=.*?[0-9])(?=.*?[#?!@$%^&*-]).{34,}$/;
         expect(regexSecret.test(authConfig.auth.clientSecret)).toBe(false);
@@ -49,7 +55,7 @@ describe('Ensure pages served', () => {
         const res = await request(app)
             .get('/');
 
-        expect(res.statusCode).toEqual(302);
+        expect(res.statusCode).toEqual(200);
     });
 
     it('should protect id page', async () => {
@@ -58,4 +64,13 @@ describe('Ensure pages served', () => {
 
         expect(res.statusCode).not.toEqual(200);
     });
+
+    it('should protect deleting tasks', async () => {
+        const res = await request(app)
+            .post('/todolist')
+            .type('form')
+            .send({ _method: 'DELETE', id: 'task-id' });
+
+        expect(res.statusCode).not.toEqual(200);
+    });
 });
\ No newline at end of file
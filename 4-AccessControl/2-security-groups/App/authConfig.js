@@ -13,6 +13,32 @@ const authConfig = {
         // }
         redirectUri: "/redirect",
     },
+    /**
+     * Each route lists the HTTP methods it allows, and the security groups a user needs for each method.
+     * The access matrix is enforced by the accessControl() middleware in app.js
+     */
+    accessMatrix: {
+        todolist: {
+            path: "/todolist",
+            methods: {
+                GET: { groups: ["Enter_the_ObjectId_of_GroupAdmin", "Enter_the_ObjectId_of_GroupMember"] },
+                POST: { groups: ["Enter_the_ObjectId_of_GroupAdmin", "Enter_the_ObjectId_of_GroupMember"] },
+                DELETE: { groups: ["Enter_the_ObjectId_of_GroupAdmin"] },
+            },
+        },
+        dashboard: {
+            path: "/dashboard",
+            methods: {
+                GET: { groups: ["Enter_the_ObjectId_of_GroupAdmin"] },
+            },
+        },
+    },
+    /**
+     * Submits the todolist form again if a login interrupts it, e.g. after the session has expired
+     */
+    replayRequests: {
+        maxBodySize: 4096,
+    },
     system: {
         loggerOptions: {
             loggerCallback: (logLevel, message, containsPii) => {
@@ -6,11 +6,14 @@ exports.getHomePage = (req, res, next) => {
 exports.getIdPage = (req, res, next) => {
     const account = req.authContext.getAccount();
 
+    // groups are resolved from Microsoft Graph by the route guard when an overage occurs
+    const groups = req.authContext.getGroups();
+
     const claims = {
         name: account.idTokenClaims.name,
         preferred_username: account.idTokenClaims.preferred_username,
         oid: account.idTokenClaims.oid,
-        groups: account.idTokenClaims.groups ? account.idTokenClaims.groups.join(' ') : "A groups overage has occurred. To learn more about how to handle group overages, please visit https://learn.microsoft.com/azure/active-directory/develop/id-token-claims-reference#groups-overage-claim"
+        groups: groups ? groups.join(' ') : "A groups overage has occurred. Your groups will be resolved once you visit the todolist or dashboard pages. To learn more about group overages, please visit https://learn.microsoft.com/azure/active-directory/develop/id-token-claims-reference#groups-overage-claim"
     };
 
     res.render('id', {isAuthenticated: req.authContext.isAuthenticated(), claims: claims});
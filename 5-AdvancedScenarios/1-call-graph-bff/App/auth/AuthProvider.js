@@ -139,7 +139,7 @@ class AuthProvider {
             const { redirectTo } = JSON.parse(this.cryptoProvider.base64Decode(req.body.state));
 
             res.clearCookie(STATE_COOKIE_NAME, { httpOnly: true, secure: true, sameSite: 'none'}); // discard the state cookie
-            res.redirect(redirectTo);
+            res.redirect(this.getSafeRedirectUri(redirectTo));
         } catch (error) {
             next(error)
         }
@@ -205,6 +205,32 @@ class AuthProvider {
         return null;
     }
 
+    /**
+     * Returns the given URI if it is a path on this app or points to one of the allowed origins,
+     * so that the app cannot be used as an open redirector. Otherwise returns the root path
+     * @param {string} redirectUri: URI to redirect to after login
+     * @returns
+     */
+    getSafeRedirectUri(redirectUri) {
+        const fallbackUri = '/';
+
+        if (!redirectUri) {
+            return fallbackUri;
+        }
+
+        // protocol-relative (//host) and backslash (/\host) URIs would leave the app
+        if (redirectUri.startsWith('/') && !redirectUri.startsWith('//') && !redirectUri.startsWith('/\\')) {
+            return redirectUri;
+        }
+
+        try {
+            const { origin } = new URL(redirectUri);
+            return (this.config.allowedRedirectOrigins || []).includes(origin) ? redirectUri : fallbackUri;
+        } catch (error) {
+            return fallbackUri;
+        }
+    }
+
     /**
      * Retrieves cloud discovery metadata from the /discovery/instance endpoint
      * @returns 
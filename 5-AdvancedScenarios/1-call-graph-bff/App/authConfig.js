@@ -7,6 +7,7 @@ const fs = require("fs");
 
 const REDIRECT_URI = "http://localhost:4000/auth/redirect";
 const POST_LOGOUT_REDIRECT_URI = "http://localhost:4000";
+const ALLOWED_REDIRECT_ORIGINS = ["http://localhost:4000"]; // origins the app may redirect to after login
 const GRAPH_ME_ENDPOINT = "https://graph.microsoft.com/v1.0/me";
 
 const SESSION_COOKIE_NAME = "msid.sample.session";
@@ -38,6 +39,7 @@ module.exports = {
     msalConfig,
     REDIRECT_URI,
     POST_LOGOUT_REDIRECT_URI,
+    ALLOWED_REDIRECT_ORIGINS,
     GRAPH_ME_ENDPOINT,
     SESSION_COOKIE_NAME,
     STATE_COOKIE_NAME,
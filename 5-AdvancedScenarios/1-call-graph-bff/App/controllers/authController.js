@@ -5,6 +5,7 @@ const {
     msalConfig,
     REDIRECT_URI,
     POST_LOGOUT_REDIRECT_URI,
+    ALLOWED_REDIRECT_ORIGINS,
     GRAPH_ME_ENDPOINT
 } = require('../authConfig');
 
@@ -14,6 +15,7 @@ const authProvider = new AuthProvider({
     msalConfig: msalConfig,
     redirectUri: REDIRECT_URI,
     postLogoutRedirectUri: POST_LOGOUT_REDIRECT_URI,
+    allowedRedirectOrigins: ALLOWED_REDIRECT_ORIGINS,
 });
 
 exports.loginUser = async (req, res, next) => {
@@ -21,7 +23,7 @@ exports.loginUser = async (req, res, next) => {
     let scopesToConsent;
 
     if (req.query && req.query.postLoginRedirectUri) {
-        postLoginRedirectUri = decodeURIComponent(req.query.postLoginRedirectUri);
+        postLoginRedirectUri = authProvider.getSafeRedirectUri(decodeURIComponent(req.query.postLoginRedirectUri));
     }
 
     if (req.query && req.query.scopesToConsent) {
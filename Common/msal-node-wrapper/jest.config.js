@@ -16,6 +16,11 @@ module.exports = {
     testMatch: [
         "<rootDir>/test/**/*.spec.ts"
     ],
+    // benchmarks only run with npm run test:benchmark
+    testPathIgnorePatterns: [
+        "/node_modules/",
+        "<rootDir>/test/benchmark/"
+    ],
     transform: {
         "^.+\\.(ts|tsx)$": "ts-jest",
     },
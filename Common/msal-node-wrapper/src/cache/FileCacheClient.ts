@@ -0,0 +1,51 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+import { createHash } from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+import { ICacheClient } from "@azure/msal-node";
+import { EMPTY_STRING } from "../utils/Constants";
+
+/**
+ * Cache store that keeps each cache partition in a separate file under a given directory
+ */
+export class FileCacheClient implements ICacheClient {
+    private directory: string;
+
+    /**
+     * @param {string} directory: directory to store the cache files in
+     */
+    constructor(directory: string) {
+        this.directory = directory;
+    }
+
+    async get(key: string): Promise<string> {
+        try {
+            return await fs.readFile(this.getFilePath(key), "utf-8");
+        } catch (error) {
+            if ((error as NodeJS.ErrnoException).code === "ENOENT") {
+                return EMPTY_STRING;
+            }
+
+            throw error;
+        }
+    }
+
+    async set(key: string, value: string): Promise<string> {
+        await fs.mkdir(this.directory, { recursive: true });
+        await fs.writeFile(this.getFilePath(key), value, { encoding: "utf-8", mode: 0o600 });
+        return value;
+    }
+
+    /**
+     * Partition keys are hashed, so that they are always safe to use as file names
+     * @param {string} key: partition key
+     * @returns {string}
+     */
+    private getFilePath(key: string): string {
+        return path.join(this.directory, `${createHash("sha256").update(key).digest("hex")}.json`);
+    }
+}
@@ -0,0 +1,82 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+import { ICacheClient } from "@azure/msal-node";
+import { EMPTY_STRING } from "../utils/Constants";
+
+type CacheEntry = {
+    value: string;
+    expiresAt: number; // in milliseconds since the epoch
+};
+
+/**
+ * Cache store that keeps cache partitions in memory. Partitions are lost
+ * when the process restarts and are not shared between instances
+ */
+export class InMemoryCacheClient implements ICacheClient {
+    private partitions: Map<string, CacheEntry>;
+    private ttl?: number;
+
+    /**
+     * @param {number} ttl: in seconds, partitions that are neither read nor written for this long are evicted
+     */
+    constructor(ttl?: number) {
+        this.partitions = new Map();
+        this.ttl = ttl;
+    }
+
+    async get(key: string): Promise<string> {
+        const entry = this.partitions.get(key);
+
+        if (!entry) {
+            return EMPTY_STRING;
+        }
+
+        if (entry.expiresAt <= Date.now()) {
+            this.partitions.delete(key);
+            return EMPTY_STRING;
+        }
+
+        this.touch(key, entry.value);
+
+        return entry.value;
+    }
+
+    async set(key: string, value: string): Promise<string> {
+        if (value) {
+            this.touch(key, value);
+        } else {
+            // an empty partition is not kept, so that keys of removed partitions do not accumulate
+            this.partitions.delete(key);
+        }
+
+        this.evictExpired();
+
+        return value;
+    }
+
+    /**
+     * Partitions are kept in the order they were last used in, so that the expired ones always come first
+     */
+    private touch(key: string, value: string): void {
+        this.partitions.delete(key);
+        this.partitions.set(key, {
+            value,
+            expiresAt: this.ttl ? Date.now() + this.ttl * 1000 : Infinity,
+        });
+    }
+
+    private evictExpired(): void {
+        const now = Date.now();
+
+        for (const [key, entry] of this.partitions) {
+            if (entry.expiresAt > now) {
+                break;
+            }
+
+            this.partitions.delete(key);
+        }
+    }
+}
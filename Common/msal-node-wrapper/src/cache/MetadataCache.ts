@@ -0,0 +1,160 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+import { promises as fs } from "fs";
+import { Logger } from "@azure/msal-common";
+import { MetadataOptions } from "../config/ConfigurationTypes";
+import { ConfigurationHelper } from "../config/ConfigurationHelper";
+import { FetchManager } from "../network/FetchManager";
+import { ConfigurationErrorMessages, MetadataCacheConstants } from "../utils/Constants";
+
+export type MetadataCacheEntry = {
+    cloudDiscoveryMetadata?: string;
+    authorityMetadata: string;
+    fetchedAt: number; // in milliseconds since epoch
+};
+
+/**
+ * Keeps the cloud discovery and authority metadata of an authority. The metadata is loaded from a file
+ * or from the cache store if available, and otherwise fetched from the network. Metadata older than the
+ * refresh interval is fetched again, and the last-known-good metadata stays in use if that fails
+ */
+export class MetadataCache {
+    private authority: string;
+    private knownAuthorities: string[];
+    private options: MetadataOptions;
+    private logger?: Logger;
+    private entry?: MetadataCacheEntry;
+    private lastRefreshAttemptAt: number;
+    private pendingRefresh?: Promise<MetadataCacheEntry>;
+
+    constructor(authority: string, knownAuthorities: string[] = [], options: MetadataOptions = {}, logger?: Logger) {
+        this.authority = authority;
+        this.knownAuthorities = knownAuthorities;
+        this.options = options;
+        this.logger = logger;
+        this.lastRefreshAttemptAt = 0;
+    }
+
+    /**
+     * Loads the freshest of the metadata in the metadata file and the cache store, and fetches the metadata
+     * from the network if neither has any. A file or a stored entry that cannot be read counts as having none
+     * @returns {Promise<MetadataCacheEntry>}
+     */
+    async load(): Promise<MetadataCacheEntry> {
+        const [fileEntry, storedEntry] = await Promise.all([
+            this.readFile().catch((error) => this.onReadError("metadata file", error)),
+            this.readCacheStore().catch((error) => this.onReadError("cache store", error)),
+        ]);
+
+        this.entry = [fileEntry, storedEntry]
+            .filter((entry): entry is MetadataCacheEntry => !!entry)
+            .sort((a, b) => b.fetchedAt - a.fetchedAt)[0];
+
+        return this.entry || this.refresh();
+    }
+
+    /**
+     * Indicates whether the metadata is older than the refresh interval and should be fetched again
+     * @returns {boolean}
+     */
+    isStale(): boolean {
+        const refreshInterval = this.options.refreshInterval ?? MetadataCacheConstants.DEFAULT_REFRESH_INTERVAL;
+
+        if (!this.entry || refreshInterval <= 0 || this.pendingRefresh) {
+            return false;
+        }
+
+        const now = Date.now();
+
+        return now - this.entry.fetchedAt > refreshInterval * 1000
+            && now - this.lastRefreshAttemptAt > MetadataCacheConstants.RETRY_INTERVAL * 1000;
+    }
+
+    /**
+     * Fetches the metadata from the network and writes it to the cache store.
+     * Concurrent refreshes share a single set of network calls
+     * @returns {Promise<MetadataCacheEntry>}
+     */
+    refresh(): Promise<MetadataCacheEntry> {
+        if (!this.pendingRefresh) {
+            this.lastRefreshAttemptAt = Date.now();
+
+            this.pendingRefresh = this.fetchMetadata()
+                .then(async (entry) => {
+                    await this.options.cacheClient?.set(this.getCacheKey(), JSON.stringify(entry));
+                    this.entry = entry;
+                    return entry;
+                })
+                .finally(() => {
+                    this.pendingRefresh = undefined;
+                });
+        }
+
+        return this.pendingRefresh;
+    }
+
+    private async fetchMetadata(): Promise<MetadataCacheEntry> {
+        // MSAL derives the cloud discovery metadata of CIAM and known authorities from their host
+        if (ConfigurationHelper.isCiamAuthority(this.authority)
+            || ConfigurationHelper.isKnownAuthority(this.authority, this.knownAuthorities)) {
+            return {
+                authorityMetadata: await FetchManager.fetchOpenIdConfiguration(this.authority),
+                fetchedAt: Date.now(),
+            };
+        }
+
+        const [cloudDiscoveryMetadata, authorityMetadata] = await Promise.all([
+            FetchManager.fetchCloudDiscoveryMetadata(this.authority),
+            FetchManager.fetchOpenIdConfiguration(this.authority),
+        ]);
+
+        return { cloudDiscoveryMetadata, authorityMetadata, fetchedAt: Date.now() };
+    }
+
+    /**
+     * Reads the metadata file. The metadata in the file may be given as objects or as JSON strings,
+     * and is as old as the file itself
+     * @returns {Promise<MetadataCacheEntry | undefined>}
+     */
+    private async readFile(): Promise<MetadataCacheEntry | undefined> {
+        if (!this.options.filePath) {
+            return undefined;
+        }
+
+        const [content, stats] = await Promise.all([
+            fs.readFile(this.options.filePath, "utf-8"),
+            fs.stat(this.options.filePath),
+        ]);
+
+        const { cloudDiscoveryMetadata, authorityMetadata } = JSON.parse(content);
+
+        if (!authorityMetadata) {
+            throw new Error(ConfigurationErrorMessages.INVALID_METADATA_FILE);
+        }
+
+        const stringify = (metadata: unknown) => typeof metadata === "string" ? metadata : JSON.stringify(metadata);
+
+        return {
+            cloudDiscoveryMetadata: cloudDiscoveryMetadata ? stringify(cloudDiscoveryMetadata) : undefined,
+            authorityMetadata: stringify(authorityMetadata),
+            fetchedAt: stats.mtimeMs,
+        };
+    }
+
+    private async readCacheStore(): Promise<MetadataCacheEntry | undefined> {
+        const storedEntry = await this.options.cacheClient?.get(this.getCacheKey());
+        return storedEntry ? JSON.parse(storedEntry) as MetadataCacheEntry : undefined;
+    }
+
+    private onReadError(source: string, error: unknown): undefined {
+        this.logger?.warning(`Error occurred while reading authority metadata from the ${source}, ignoring it: ${JSON.stringify(error)}`);
+        return undefined;
+    }
+
+    private getCacheKey(): string {
+        return `${MetadataCacheConstants.CACHE_KEY_PREFIX}${this.authority}`;
+    }
+}
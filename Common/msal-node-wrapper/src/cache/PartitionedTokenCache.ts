@@ -0,0 +1,175 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+import { ICacheClient, TokenCache } from "@azure/msal-node";
+
+type SerializedCacheEntity = {
+    home_account_id?: string;
+};
+
+type SerializedCache = Record<string, Record<string, SerializedCacheEntity>>;
+
+type CacheEntity = {
+    homeAccountId?: string;
+};
+
+type CachePartition = {
+    references: number;
+    loading: Promise<void>;
+    entities?: string;
+};
+
+/**
+ * Entity types that belong to a single account. Other entities, such as app metadata,
+ * are shared and copied to every partition
+ */
+const ACCOUNT_ENTITY_TYPES = ["Account", "IdToken", "AccessToken", "RefreshToken"];
+
+/**
+ * Isolates the cache partitions of users in the token cache of a shared MSAL client. The partition
+ * of a user is loaded from the cache store while requests for that user are in progress, written back
+ * if it has changed, and removed from the shared token cache once the last such request completes
+ */
+export class PartitionedTokenCache {
+    private tokenCache: TokenCache;
+    private cacheClient: ICacheClient;
+    private partitions: Map<string, CachePartition>;
+
+    constructor(tokenCache: TokenCache, cacheClient: ICacheClient) {
+        this.tokenCache = tokenCache;
+        this.cacheClient = cacheClient;
+        this.partitions = new Map();
+    }
+
+    /**
+     * Runs a callback while the cache partition of the given user is loaded
+     * @param {string} partitionKey: homeAccountId of the user
+     * @param {Function} callback: callback that accesses the token cache
+     * @returns {Promise}
+     */
+    async run<T>(partitionKey: string, callback: () => Promise<T>): Promise<T> {
+        await this.acquire(partitionKey);
+
+        try {
+            return await callback();
+        } finally {
+            await this.release(partitionKey);
+        }
+    }
+
+    /**
+     * Writes the cache entities of a user that has just signed in to the cache store
+     * @param {string} partitionKey: homeAccountId of the user
+     */
+    async save(partitionKey: string): Promise<void> {
+        const partition = this.partitions.get(partitionKey);
+        const cacheData = this.serializePartition(partitionKey);
+
+        if (partition) {
+            // requests in progress for the same user write back their changes when they complete
+            partition.entities = this.getPartitionEntities(partitionKey);
+        } else {
+            this.removePartition(partitionKey);
+        }
+
+        await this.cacheClient.set(partitionKey, cacheData);
+    }
+
+    private async acquire(partitionKey: string): Promise<void> {
+        const partition = this.partitions.get(partitionKey);
+
+        if (partition) {
+            partition.references++;
+            return partition.loading;
+        }
+
+        const newPartition: CachePartition = {
+            references: 1,
+            loading: this.cacheClient.get(partitionKey).then((cacheData) => {
+                this.mergePartition(partitionKey, cacheData);
+                newPartition.entities = this.getPartitionEntities(partitionKey);
+            }),
+        };
+
+        this.partitions.set(partitionKey, newPartition);
+
+        try {
+            await newPartition.loading;
+        } catch (error) {
+            this.partitions.delete(partitionKey);
+            throw error;
+        }
+    }
+
+    private async release(partitionKey: string): Promise<void> {
+        const partition = this.partitions.get(partitionKey);
+
+        if (!partition) {
+            return;
+        }
+
+        try {
+            const entities = this.getPartitionEntities(partitionKey);
+
+            // the partition is only serialized and written back if its entities have changed
+            if (entities !== partition.entities) {
+                partition.entities = entities;
+                await this.cacheClient.set(partitionKey, this.serializePartition(partitionKey));
+            }
+        } finally {
+            partition.references--;
+
+            if (partition.references === 0) {
+                this.partitions.delete(partitionKey);
+                this.removePartition(partitionKey);
+            }
+        }
+    }
+
+    /**
+     * The methods below access the whole token cache synchronously, so that concurrent
+     * requests for other users never observe a partially updated cache
+     */
+    private mergePartition(partitionKey: string, cacheData: string): void {
+        this.removePartition(partitionKey);
+
+        // deserializing adds the entities of the partition to those already in the token cache
+        this.tokenCache.deserialize(cacheData);
+    }
+
+    private getPartitionEntities(partitionKey: string): string {
+        const cacheStore = this.tokenCache.getKVStore();
+
+        return JSON.stringify(Object.keys(cacheStore)
+            .filter((key) => PartitionedTokenCache.isInPartition(cacheStore[key], partitionKey))
+            .map((key) => [key, cacheStore[key]]));
+    }
+
+    private serializePartition(partitionKey: string): string {
+        const cache = JSON.parse(this.tokenCache.serialize()) as SerializedCache;
+
+        Object.keys(cache).filter((entityType) => ACCOUNT_ENTITY_TYPES.includes(entityType)).forEach((entityType) => {
+            cache[entityType] = Object.fromEntries(
+                Object.entries(cache[entityType]).filter(([, entity]) => entity.home_account_id === partitionKey)
+            );
+        });
+
+        return JSON.stringify(cache);
+    }
+
+    private removePartition(partitionKey: string): void {
+        const cacheStore = this.tokenCache.getKVStore();
+
+        Object.keys(cacheStore).forEach((key) => {
+            if (PartitionedTokenCache.isInPartition(cacheStore[key], partitionKey)) {
+                delete cacheStore[key];
+            }
+        });
+    }
+
+    private static isInPartition(entity: unknown, partitionKey: string): boolean {
+        return typeof entity === "object" && (entity as CacheEntity).homeAccountId === partitionKey;
+    }
+}
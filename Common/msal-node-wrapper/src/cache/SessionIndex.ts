@@ -0,0 +1,132 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+import { ICacheClient } from "@azure/msal-node";
+import { BackChannelLogoutConstants, EMPTY_STRING } from "../utils/Constants";
+
+export type SessionIndexClaims = {
+    iss?: string;
+    sub?: string;
+    sid?: string;
+};
+
+/**
+ * Expiry times of the app sessions in an entry of the index, in milliseconds since the epoch, keyed by session ID
+ */
+type SessionIndexEntry = Record<string, number>;
+
+/**
+ * Maps the session at the identity provider (sid) and the user (sub) to the IDs of the
+ * app sessions signed in with them, so that a logout token can end every such session.
+ * App sessions are kept in the index for the lifetime of the session after sign-in
+ */
+export class SessionIndex {
+    private cacheClient: ICacheClient;
+    private lifetime: number;
+    private pendingUpdates: Map<string, Promise<void>>;
+
+    /**
+     * @param {ICacheClient} cacheClient: store to keep the index in
+     * @param {number} lifetime: in seconds, lifetime of the app sessions
+     */
+    constructor(cacheClient: ICacheClient, lifetime: number) {
+        this.cacheClient = cacheClient;
+        this.lifetime = lifetime;
+        this.pendingUpdates = new Map();
+    }
+
+    /**
+     * Adds an app session to the entries of the session at the identity provider and of the user
+     * @param {string} sessionId: ID of the app session
+     * @param {SessionIndexClaims} claims: claims of the ID token the session is signed in with
+     */
+    async add(sessionId: string, claims: SessionIndexClaims): Promise<void> {
+        const expiresAt = Date.now() + this.lifetime * 1000;
+
+        await Promise.all(this.getKeys(claims).map((key) => this.update(key, (entry) => {
+            entry[sessionId] = expiresAt;
+        })));
+    }
+
+    /**
+     * Removes an app session from the entries of the session at the identity provider and of the user,
+     * e.g. when the user signs out
+     * @param {string} sessionId: ID of the app session
+     * @param {SessionIndexClaims} claims: claims of the ID token the session is signed in with
+     */
+    async remove(sessionId: string, claims: SessionIndexClaims): Promise<void> {
+        await Promise.all(this.getKeys(claims).map((key) => this.update(key, (entry) => {
+            delete entry[sessionId];
+        })));
+    }
+
+    /**
+     * Returns the app sessions of the session at the identity provider if the claims have a sid,
+     * and otherwise every app session of the user
+     * @param {SessionIndexClaims} claims: claims of the logout token
+     * @returns {Promise<string[]>} IDs of the app sessions
+     */
+    async find(claims: SessionIndexClaims): Promise<string[]> {
+        if (!claims.iss || (!claims.sid && !claims.sub)) {
+            return [];
+        }
+
+        const key = claims.sid
+            ? this.getKey(claims.iss, "sid", claims.sid)
+            : this.getKey(claims.iss, "sub", claims.sub as string);
+
+        return Object.keys(await this.getEntry(key));
+    }
+
+    private getKeys(claims: SessionIndexClaims): string[] {
+        if (!claims.iss) {
+            return [];
+        }
+
+        return [
+            claims.sid && this.getKey(claims.iss, "sid", claims.sid),
+            claims.sub && this.getKey(claims.iss, "sub", claims.sub),
+        ].filter((key): key is string => !!key);
+    }
+
+    private getKey(issuer: string, claimName: string, claimValue: string): string {
+        return `${BackChannelLogoutConstants.SESSION_INDEX_KEY_PREFIX}${issuer}|${claimName}|${claimValue}`;
+    }
+
+    private async getEntry(key: string): Promise<SessionIndexEntry> {
+        const value = await this.cacheClient.get(key);
+        const entry = value ? JSON.parse(value) as SessionIndexEntry : {};
+        const now = Date.now();
+
+        // expired sessions are dropped whenever the entry is read
+        return Object.fromEntries(Object.entries(entry).filter(([, expiresAt]) => expiresAt > now));
+    }
+
+    /**
+     * Updates of an entry are chained, so that concurrent sign-ins and sign-outs of a user
+     * do not overwrite each other. Updates are only chained within this instance of the app
+     */
+    private update(key: string, updater: (entry: SessionIndexEntry) => void): Promise<void> {
+        const previousUpdate = this.pendingUpdates.get(key) || Promise.resolve();
+
+        const update = previousUpdate.catch(() => undefined).then(async () => {
+            const entry = await this.getEntry(key);
+            updater(entry);
+
+            // an entry without sessions is emptied, so that stores can evict it
+            await this.cacheClient.set(key, Object.keys(entry).length ? JSON.stringify(entry) : EMPTY_STRING);
+        });
+
+        this.pendingUpdates.set(key, update);
+
+        update.catch(() => undefined).then(() => {
+            if (this.pendingUpdates.get(key) === update) {
+                this.pendingUpdates.delete(key);
+            }
+        });
+
+        return update;
+    }
+}
@@ -3,9 +3,16 @@
  * Licensed under the MIT License.
  */
 
-import { UrlString } from "@azure/msal-common";
+import { Authority, UrlString, formatAuthorityUri } from "@azure/msal-common";
 import { Configuration } from "@azure/msal-node";
-import { ConfigurationErrorMessages, OIDC_SCOPES, DEFAULT_LOGGER_OPTIONS } from "../utils/Constants";
+import {
+    ConfigurationErrorMessages,
+    ClaimsChallengeConstants,
+    OIDC_SCOPES,
+    DEFAULT_LOGGER_OPTIONS,
+    CIAM_AUTHORITY_HOST_SUFFIX
+} from "../utils/Constants";
+import { UrlUtils } from "../utils/UrlUtils";
 import { AuthConfig, AppType, ProtectedResourceParams, ProtectedResourcesMap, WebAppAuthConfig } from "./ConfigurationTypes";
 
 export class ConfigurationHelper {
@@ -16,15 +23,28 @@ export class ConfigurationHelper {
      * @returns {Configuration}
      */
     static getMsalConfiguration(authConfig: AuthConfig): Configuration {
+        // eslint-disable-next-line @typescript-eslint/no-unused-vars
+        const { cacheClient, ...cacheOptions } = authConfig.cache || {};
+
         return {
             auth: {
                 ...authConfig.auth,
-                authority: authConfig.auth?.authority ? authConfig.auth.authority : "https://login.microsoftonline.com/common",
+                // cloud instances in azureCloudOptions take precedence over the authority, as in MSAL
+                authority: this.getCanonicalAuthority(Authority.generateAuthority(
+                    authConfig.auth?.authority || "https://login.microsoftonline.com/common",
+                    authConfig.auth?.azureCloudOptions
+                )),
+                // claims challenges from resources are handled by the wrapper
+                clientCapabilities: Array.from(new Set([
+                    ...(authConfig.auth?.clientCapabilities || []),
+                    ClaimsChallengeConstants.CAE_CLIENT_CAPABILITY,
+                ])),
             },
             system: {
                 ...authConfig.system,
                 loggerOptions: authConfig.system?.loggerOptions ? authConfig.system.loggerOptions : DEFAULT_LOGGER_OPTIONS,
             },
+            cache: cacheOptions,
         };
     }
 
@@ -40,6 +60,16 @@ export class ConfigurationHelper {
                     throw new Error(ConfigurationErrorMessages.NO_REDIRECT_URI);
                 }
                 break;
+            case AppType.WebApi:
+                if (!authConfig.auth.clientId) {
+                    throw new Error(ConfigurationErrorMessages.NO_CLIENT_ID);
+                }
+                break;
+            case AppType.Daemon:
+                if (!authConfig.auth.clientSecret && !authConfig.auth.clientCertificate) {
+                    throw new Error(ConfigurationErrorMessages.NO_CLIENT_CREDENTIAL);
+                }
+                break;
             default:
                 break;
         }
@@ -54,6 +84,38 @@ export class ConfigurationHelper {
         return authority.includes("b2clogin.com/");
     }
 
+    /**
+     * Indicates whether the given authority is a Microsoft Entra External ID (CIAM) authority
+     * @param {string} authority: authority string
+     * @returns {boolean}
+     */
+    static isCiamAuthority(authority: string): boolean {
+        return UrlString.getDomainFromUrl(authority).toLowerCase().endsWith(CIAM_AUTHORITY_HOST_SUFFIX);
+    }
+
+    /**
+     * Indicates whether the host of the given authority is listed in knownAuthorities
+     * @param {string} authority: authority string
+     * @param {Array} knownAuthorities: known authorities from the configuration
+     * @returns {boolean}
+     */
+    static isKnownAuthority(authority: string, knownAuthorities: string[] = []): boolean {
+        const host = UrlString.getDomainFromUrl(authority).toLowerCase();
+        return knownAuthorities.some((knownAuthority) => UrlString.getDomainFromUrl(knownAuthority).toLowerCase() === host);
+    }
+
+    /**
+     * Returns the authority string with the tenant path that the service expects. CIAM authorities
+     * may be given as the tenant subdomain alone, e.g. https://contoso.ciamlogin.com, in which
+     * case the tenant domain is appended, e.g. https://contoso.ciamlogin.com/contoso.onmicrosoft.com/
+     * @param {string} authority: authority string
+     * @returns {string}
+     */
+    static getCanonicalAuthority(authority: string): string {
+        return this.isCiamAuthority(authority) ?
+            Authority.transformCIAMAuthority(formatAuthorityUri(authority)) : authority;
+    }
+
     /**
      * Returns the tenantId associated with the authority string
      * @param {string} authority: authority string
@@ -91,6 +153,17 @@ export class ConfigurationHelper {
         return resourceName;
     }
 
+    /**
+     * Util method to get the resource identifier for a given scope(s). Scopes without
+     * a resource URI, such as User.Read, belong to Microsoft Graph
+     * @param {Array} scopes: scopes requested for the resource
+     * @returns {string}
+     */
+    static getResourceFromScopes(scopes: string[]): string {
+        const resourceScope = this.getEffectiveScopes(scopes).find((scope) => scope.includes("://"));
+        return UrlUtils.getResourceFromUri(resourceScope || ClaimsChallengeConstants.DEFAULT_RESOURCE);
+    }
+
     /**
      * Util method to strip the default OIDC scopes from a given scopes list
      * @param {Array} scopesList: full list of scopes for this resource
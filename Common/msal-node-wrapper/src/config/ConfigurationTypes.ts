@@ -3,24 +3,77 @@
  * Licensed under the MIT License.
  */
 
-import { NodeAuthOptions, NodeSystemOptions, CacheOptions } from "@azure/msal-node";
+import { NodeAuthOptions, NodeSystemOptions, CacheOptions, ICacheClient } from "@azure/msal-node";
 
 export type AuthConfig = {
-    auth: Omit<NodeAuthOptions, "azureCloudOptions" | "clientAssertion">;
+    auth: Omit<NodeAuthOptions, "clientAssertion">;
     system?: NodeSystemOptions,
-    cache?: CacheOptions
+    cache?: CacheConfig,
+    security?: SecurityOptions,
+    metadata?: MetadataOptions
+};
+
+export type CacheConfig = CacheOptions & {
+    cacheClient?: ICacheClient;
+};
+
+export type MetadataOptions = {
+    filePath?: string; // JSON file with cloudDiscoveryMetadata and authorityMetadata, e.g. to start without network calls
+    cacheClient?: ICacheClient; // store to persist the last-known-good metadata in, e.g. across restarts
+    refreshInterval?: number; // in seconds, set to 0 to never refresh the metadata
+};
+
+export type SecurityOptions = {
+    pkce?: boolean;
+    allowedRedirects?: RedirectAllowlist;
+};
+
+export type RedirectAllowlist = {
+    origins?: string[];
+    paths?: string[];
+    fallbackUri?: string;
 };
 
 export type WebAppAuthConfig = AuthConfig & {
     auth: NodeAuthOptions & AuthRoutes;
+    accessMatrix?: AccessMatrix;
+    policies?: B2CPolicies;
+    sessionIndexClient?: ICacheClient; // store that maps users to their sessions for back-channel logout
+    sessionLifetime?: number; // in seconds, match it to the maxAge of the session cookie, see the README
+    replayRequests?: RequestReplayOptions; // replays form submissions interrupted by a login once the user has signed in
+};
+
+export type RequestReplayOptions = {
+    maxBodySize?: number; // in bytes of the encoded form, larger submissions are not replayed
 };
 
 export type AuthRoutes = {
     redirectUri: string;
     frontChannelLogoutUri?: string;
+    backChannelLogoutUri?: string;
     postLogoutRedirectUri?: string;
 };
 
+/**
+ * Authorities of the B2C user flows or custom policies of the app, keyed by policy name
+ */
+export type B2CPolicies = {
+    signUpSignIn?: string,
+    resetPassword?: string,
+    editProfile?: string,
+    [policyName: string]: string | undefined
+};
+
+export type WebApiAuthConfig = AuthConfig & {
+    auth: NodeAuthOptions & TokenValidationParams;
+};
+
+export type TokenValidationParams = {
+    audience?: string | string[];
+    validIssuers?: string[];
+    clockSkew?: number;
+};
+
 export type ProtectedResourcesMap = Record<string, ProtectedResourceParams>;
 
 export type ProtectedResourceParams = {
@@ -28,6 +81,20 @@ export type ProtectedResourceParams = {
     routes: Array<string>
 };
 
+export type AccessMatrix = Record<string, AccessRule>;
+
+export type AccessRule = {
+    path: string,
+    methods: Record<string, AccessRequirement>
+};
+
+export type AccessRequirement = {
+    roles?: Array<string>,
+    groups?: Array<string>
+};
+
 export enum AppType {
-    WebApp
+    WebApp,
+    WebApi,
+    Daemon
 }
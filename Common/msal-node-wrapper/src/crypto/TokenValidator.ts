@@ -0,0 +1,301 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+import { createPublicKey, createVerify, KeyObject } from "crypto";
+import { Logger, TokenClaims } from "@azure/msal-common";
+import { FetchManager } from "../network/FetchManager";
+import { TokenValidationParams } from "../config/ConfigurationTypes";
+import { AccessTokenClaims, LogoutTokenClaims } from "../middleware/MiddlewareOptions";
+import { TokenValidationError } from "../error/TokenValidationError";
+import { BackChannelLogoutConstants, JwtSigningAlgorithms, TokenValidationConstants } from "../utils/Constants";
+
+export type TokenValidatorOptions = TokenValidationParams & {
+    clientId: string;
+    authorityMetadata: string;
+};
+
+type JwtHeader = {
+    alg?: string;
+    kid?: string;
+    typ?: string;
+};
+
+type RegisteredClaims = Pick<TokenClaims, "iss" | "exp" | "nbf" | "tid"> & {
+    aud?: string | string[];
+};
+
+type DecodedJwt = {
+    header: JwtHeader;
+    payload: AccessTokenClaims;
+    signedContent: string;
+    signature: Buffer;
+};
+
+/**
+ * Validates JWT access tokens and logout tokens issued by the configured authority
+ */
+export class TokenValidator {
+    private options: TokenValidatorOptions;
+    private logger: Logger;
+    private issuer: string;
+    private jwksUri: string;
+    private signingKeys: Map<string, KeyObject>;
+    private keysLastRefreshedAt: number;
+
+    constructor(options: TokenValidatorOptions, logger: Logger) {
+        this.options = options;
+        this.logger = logger;
+
+        const metadata = JSON.parse(options.authorityMetadata);
+        this.issuer = metadata.issuer;
+        this.jwksUri = metadata.jwks_uri;
+
+        this.signingKeys = new Map();
+        this.keysLastRefreshedAt = 0;
+    }
+
+    /**
+     * Switches to refreshed authority metadata. The signing keys are fetched again if they are published elsewhere
+     * @param {string} authorityMetadata: OpenID configuration of the authority
+     */
+    setAuthorityMetadata(authorityMetadata: string): void {
+        const metadata = JSON.parse(authorityMetadata);
+        this.options = { ...this.options, authorityMetadata };
+        this.issuer = metadata.issuer;
+
+        if (metadata.jwks_uri !== this.jwksUri) {
+            this.jwksUri = metadata.jwks_uri;
+            this.signingKeys = new Map();
+            this.keysLastRefreshedAt = 0;
+        }
+    }
+
+    /**
+     * Verifies the signature and the registered claims of a raw access token
+     * @param {string} accessToken: raw JWT access token
+     * @returns {Promise<AccessTokenClaims>} the validated token claims
+     */
+    async validateAccessToken(accessToken: string): Promise<AccessTokenClaims> {
+        const payload = await this.verifySignature(accessToken);
+
+        this.validateClaims(payload);
+
+        return payload;
+    }
+
+    /**
+     * Verifies the signature and the claims of a logout token sent to the back-channel logout route. For more information, visit:
+     * https://openid.net/specs/openid-connect-backchannel-1_0.html#Validation
+     * @param {string} logoutToken: raw JWT logout token
+     * @returns {Promise<LogoutTokenClaims>} the validated token claims
+     */
+    async validateLogoutToken(logoutToken: string): Promise<LogoutTokenClaims> {
+        const payload = await this.verifySignature(logoutToken) as LogoutTokenClaims;
+
+        this.validateClaims(payload);
+
+        if (!payload.iat || !payload.jti) {
+            throw TokenValidationError.createInvalidTokenError("token is missing the iat or jti claim");
+        }
+
+        if (typeof payload.events?.[BackChannelLogoutConstants.LOGOUT_EVENT] !== "object") {
+            throw TokenValidationError.createInvalidTokenError("token is not a logout token");
+        }
+
+        if (!payload.sid && !payload.sub) {
+            throw TokenValidationError.createInvalidTokenError("token does not identify a session or a user");
+        }
+
+        // logout tokens must not be accepted where ID tokens are expected, and vice versa
+        if (payload.nonce !== undefined) {
+            throw TokenValidationError.createInvalidTokenError("token contains a nonce");
+        }
+
+        return payload;
+    }
+
+    /**
+     * Decodes a raw JWT and verifies its signature with the signing keys of the authority
+     * @param {string} token: raw JWT
+     * @returns {Promise<AccessTokenClaims>} the token claims
+     */
+    private async verifySignature(token: string): Promise<AccessTokenClaims> {
+        const decodedToken = TokenValidator.decodeToken(token);
+        const { header, payload } = decodedToken;
+
+        // only own keys are looked up, so that names such as "constructor" do not resolve to members of Object.prototype
+        const algorithm = typeof header.alg === "string" && Object.prototype.hasOwnProperty.call(JwtSigningAlgorithms, header.alg)
+            ? JwtSigningAlgorithms[header.alg]
+            : undefined;
+
+        if (!algorithm || !header.kid) {
+            throw TokenValidationError.createTokenNotVerifiedError();
+        }
+
+        const signingKey = await this.getSigningKey(header.kid);
+
+        const isSignatureValid = createVerify(algorithm)
+            .update(decodedToken.signedContent)
+            .verify(signingKey, decodedToken.signature);
+
+        if (!isSignatureValid) {
+            throw TokenValidationError.createTokenNotVerifiedError();
+        }
+
+        return payload;
+    }
+
+    /**
+     * Splits a compact JWT into its parts without verifying it
+     * @param {string} token: raw JWT
+     * @returns {DecodedJwt}
+     */
+    static decodeToken(token: string): DecodedJwt {
+        const parts = token.split(".");
+
+        if (parts.length !== 3) {
+            throw TokenValidationError.createTokenNotDecodedError();
+        }
+
+        let header: unknown;
+        let payload: unknown;
+
+        try {
+            header = JSON.parse(Buffer.from(parts[0], "base64url").toString());
+            payload = JSON.parse(Buffer.from(parts[1], "base64url").toString());
+        } catch (error) {
+            throw TokenValidationError.createTokenNotDecodedError();
+        }
+
+        // both parts must be JSON objects, as JSON.parse also returns null, numbers, strings and arrays
+        if (!TokenValidator.isJsonObject(header) || !TokenValidator.isJsonObject(payload)) {
+            throw TokenValidationError.createTokenNotDecodedError();
+        }
+
+        return {
+            header: header as DecodedJwt["header"],
+            payload: payload as DecodedJwt["payload"],
+            signedContent: `${parts[0]}.${parts[1]}`,
+            signature: Buffer.from(parts[2], "base64url"),
+        };
+    }
+
+    private static isJsonObject(value: unknown): boolean {
+        return typeof value === "object" && value !== null && !Array.isArray(value);
+    }
+
+    /**
+     * Checks expiry, not-before, audience and issuer claims
+     * @param {RegisteredClaims} claims: decoded token claims
+     */
+    private validateClaims(claims: RegisteredClaims): void {
+        const now = Math.floor(Date.now() / 1000);
+        const clockSkew = this.options.clockSkew ?? TokenValidationConstants.DEFAULT_CLOCK_SKEW;
+
+        if (!claims.exp || now > claims.exp + clockSkew) {
+            throw TokenValidationError.createInvalidTokenError("token is expired");
+        }
+
+        if (claims.nbf && now + clockSkew < claims.nbf) {
+            throw TokenValidationError.createInvalidTokenError("token is not yet valid");
+        }
+
+        const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+
+        if (!audiences.some((audience) => !!audience && this.getValidAudiences().includes(audience))) {
+            throw TokenValidationError.createInvalidTokenError("audience does not match");
+        }
+
+        if (!claims.iss || !this.getValidIssuers(claims).includes(claims.iss)) {
+            throw TokenValidationError.createInvalidTokenError("issuer does not match");
+        }
+    }
+
+    /**
+     * Returns the accepted audiences. Defaults to the client ID and its Application ID URI
+     * @returns {Array}
+     */
+    private getValidAudiences(): string[] {
+        if (this.options.audience) {
+            return Array.isArray(this.options.audience) ? this.options.audience : [this.options.audience];
+        }
+
+        return [
+            this.options.clientId,
+            `${TokenValidationConstants.API_AUDIENCE_PREFIX}${this.options.clientId}`
+        ];
+    }
+
+    /**
+     * Returns the accepted issuers. Defaults to the issuer in the authority metadata, resolving
+     * the tenant placeholder for multi-tenant authorities and accepting v1.0 issuers for the same tenant
+     * @param {RegisteredClaims} claims: decoded token claims
+     * @returns {Array}
+     */
+    private getValidIssuers(claims: RegisteredClaims): string[] {
+        if (this.options.validIssuers) {
+            return this.options.validIssuers;
+        }
+
+        const tenantId = claims.tid || "";
+        const issuer = this.issuer.replace(TokenValidationConstants.TENANT_ID_PLACEHOLDER, tenantId);
+
+        if (tenantId && issuer.includes(tenantId)) {
+            return [issuer, `${TokenValidationConstants.V1_ISSUER_PREFIX}${tenantId}/`];
+        }
+
+        return [issuer];
+    }
+
+    /**
+     * Returns the public key for a given key ID, refreshing the key set if the key is unknown
+     * (e.g. after a key rollover)
+     * @param {string} keyId: kid header of the token
+     * @returns {Promise<KeyObject>}
+     */
+    private async getSigningKey(keyId: string): Promise<KeyObject> {
+        const cachedKey = this.signingKeys.get(keyId);
+
+        if (cachedKey) {
+            return cachedKey;
+        }
+
+        const secondsSinceRefresh = (Date.now() - this.keysLastRefreshedAt) / 1000;
+
+        if (secondsSinceRefresh > TokenValidationConstants.KEYS_REFRESH_INTERVAL || this.signingKeys.size === 0) {
+            await this.refreshSigningKeys();
+        }
+
+        const signingKey = this.signingKeys.get(keyId);
+
+        if (!signingKey) {
+            throw TokenValidationError.createTokenNotVerifiedError();
+        }
+
+        return signingKey;
+    }
+
+    /**
+     * Downloads the key set from the jwks_uri of the authority
+     */
+    private async refreshSigningKeys(): Promise<void> {
+        this.logger.verbose("Refreshing signing keys");
+
+        try {
+            const keys = await FetchManager.fetchSigningKeys(this.jwksUri);
+
+            this.signingKeys = new Map(
+                keys
+                    .filter((key) => key.kty === "RSA" && (!key.use || key.use === "sig") && typeof key.kid === "string")
+                    .map((key) => [key.kid as string, createPublicKey({ key, format: "jwk" })])
+            );
+
+            this.keysLastRefreshedAt = Date.now();
+        } catch (error) {
+            this.logger.error(`Error occurred while fetching signing keys: ${JSON.stringify(error)}`);
+            throw TokenValidationError.createKeysNotObtainedError();
+        }
+    }
+}
@@ -4,6 +4,8 @@
  */
 
 import { AuthError, AccountInfo } from "@azure/msal-node";
+import { FailedRequirement } from "../middleware/MiddlewareOptions";
+import { ErrorMessages } from "../utils/Constants";
 
 /**
  * Contains string constants used by error codes and messages.
@@ -16,6 +18,10 @@ export const AccessDeniedErrorMessage = {
     forbiddenAccessError: {
         code: "403",
         desc: "Forbidden"
+    },
+    methodNotAllowedError: {
+        code: "403",
+        desc: ErrorMessages.METHOD_NOT_ALLOWED
     }
 };
 
@@ -25,12 +31,14 @@ export const AccessDeniedErrorMessage = {
 export class AccessDeniedError extends AuthError {
     route?: string;
     account?: AccountInfo;
+    requirement?: FailedRequirement;
 
-    constructor(errorCode: string, errorMessage?: string, route?: string, account?: AccountInfo) {
+    constructor(errorCode: string, errorMessage?: string, route?: string, account?: AccountInfo, requirement?: FailedRequirement) {
         super(errorCode, errorMessage);
         this.name = "AccessDeniedError";
         this.route = route;
         this.account = account;
+        this.requirement = requirement;
         
         Object.setPrototypeOf(this, AccessDeniedError.prototype);
     }
@@ -54,12 +62,28 @@ export class AccessDeniedError extends AuthError {
      *
      * @returns {AccessDeniedError} Empty issuer error
      */
-    static createForbiddenAccessError(route?: string, account?: AccountInfo): AccessDeniedError {
+    static createForbiddenAccessError(route?: string, account?: AccountInfo, requirement?: FailedRequirement): AccessDeniedError {
         return new AccessDeniedError(
             AccessDeniedErrorMessage.forbiddenAccessError.code,
             AccessDeniedErrorMessage.forbiddenAccessError.desc,
             route,
-            account
+            account,
+            requirement
+        );
+    }
+
+    /**
+     * Creates an error when the access matrix does not allow the request method for a route
+     *
+     * @returns {AccessDeniedError} Method not allowed error
+     */
+    static createMethodNotAllowedError(route?: string, account?: AccountInfo, requirement?: FailedRequirement): AccessDeniedError {
+        return new AccessDeniedError(
+            AccessDeniedErrorMessage.methodNotAllowedError.code,
+            AccessDeniedErrorMessage.methodNotAllowedError.desc,
+            route,
+            account,
+            requirement
         );
     }
 }
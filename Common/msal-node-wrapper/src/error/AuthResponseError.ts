@@ -0,0 +1,57 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+import { AuthError } from "@azure/msal-node";
+import { ErrorMessages } from "../utils/Constants";
+
+/**
+ * Contains string constants used by error codes and messages.
+ */
+export const AuthResponseErrorMessage = {
+    stateNotFound: {
+        code: "state_not_found",
+        desc: ErrorMessages.STATE_NOT_FOUND
+    },
+    csrfTokenMismatch: {
+        code: "csrf_token_mismatch",
+        desc: ErrorMessages.CSRF_TOKEN_MISMATCH
+    }
+};
+
+/**
+ * Error thrown when the response on the redirect route does not belong to a login request made in this session
+ */
+export class AuthResponseError extends AuthError {
+    constructor(errorCode: string, errorMessage?: string) {
+        super(errorCode, errorMessage);
+        this.name = "AuthResponseError";
+
+        Object.setPrototypeOf(this, AuthResponseError.prototype);
+    }
+
+    /**
+     * Creates an error when there is no pending login request in session, e.g. when a response is replayed
+     *
+     * @returns {AuthResponseError} State not found error
+     */
+    static createStateNotFoundError(): AuthResponseError {
+        return new AuthResponseError(
+            AuthResponseErrorMessage.stateNotFound.code,
+            AuthResponseErrorMessage.stateNotFound.desc
+        );
+    }
+
+    /**
+     * Creates an error when the state in the response does not match the one sent with the login request
+     *
+     * @returns {AuthResponseError} CSRF token mismatch error
+     */
+    static createCsrfTokenMismatchError(): AuthResponseError {
+        return new AuthResponseError(
+            AuthResponseErrorMessage.csrfTokenMismatch.code,
+            AuthResponseErrorMessage.csrfTokenMismatch.desc
+        );
+    }
+}
@@ -0,0 +1,54 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+import { InteractionRequiredError } from "./InteractionRequiredError";
+import { HeaderUtils } from "../utils/HeaderUtils";
+import { UrlUtils } from "../utils/UrlUtils";
+import { ErrorMessages } from "../utils/Constants";
+
+/**
+ * Contains string constants used by error codes and messages.
+ */
+export const ClaimsChallengeErrorMessage = {
+    claimsChallenge: {
+        code: "claims_challenge",
+        desc: ErrorMessages.CLAIMS_CHALLENGE
+    }
+};
+
+/**
+ * Error thrown when a resource rejects an access token with a claims challenge, e.g. when
+ * Continuous Access Evaluation revokes the user's session. For more information, visit:
+ * https://learn.microsoft.com/azure/active-directory/develop/claims-challenge
+ */
+export class ClaimsChallengeError extends InteractionRequiredError {
+    claims: string;
+    resource: string;
+
+    constructor(claims: string, resource: string) {
+        super(
+            ClaimsChallengeErrorMessage.claimsChallenge.code,
+            ClaimsChallengeErrorMessage.claimsChallenge.desc,
+            undefined,
+            { scopes: [], claims }
+        );
+        this.name = "ClaimsChallengeError";
+        this.claims = claims;
+        this.resource = UrlUtils.getResourceFromUri(resource);
+
+        Object.setPrototypeOf(this, ClaimsChallengeError.prototype);
+    }
+
+    /**
+     * Creates an error from the WWW-Authenticate header of a response, if it contains a claims challenge
+     * @param {string} header: value of the WWW-Authenticate header
+     * @param {string} resource: endpoint URL or App ID URI of the resource that sent the challenge
+     * @returns {ClaimsChallengeError | null} Claims challenge error
+     */
+    static createFromHeader(header: string | null | undefined, resource: string): ClaimsChallengeError | null {
+        const claims = HeaderUtils.getClaimsChallenge(header);
+        return claims ? new ClaimsChallengeError(claims, resource) : null;
+    }
+}
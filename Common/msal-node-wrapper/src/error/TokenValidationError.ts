@@ -0,0 +1,106 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+import { AuthError } from "@azure/msal-node";
+import { ErrorMessages } from "../utils/Constants";
+
+/**
+ * Contains string constants used by error codes and messages.
+ */
+export const TokenValidationErrorMessage = {
+    tokenNotFound: {
+        code: "token_not_found",
+        desc: ErrorMessages.TOKEN_NOT_FOUND
+    },
+    tokenNotDecoded: {
+        code: "token_not_decoded",
+        desc: ErrorMessages.TOKEN_NOT_DECODED
+    },
+    tokenNotVerified: {
+        code: "token_not_verified",
+        desc: ErrorMessages.TOKEN_NOT_VERIFIED
+    },
+    keysNotObtained: {
+        code: "keys_not_obtained",
+        desc: ErrorMessages.KEYS_NOT_OBTAINED
+    },
+    invalidToken: {
+        code: "invalid_token",
+        desc: ErrorMessages.INVALID_TOKEN
+    }
+};
+
+/**
+ * Error thrown when an access token presented to a web API, or a logout token, cannot be validated
+ */
+export class TokenValidationError extends AuthError {
+    constructor(errorCode: string, errorMessage?: string) {
+        super(errorCode, errorMessage);
+        this.name = "TokenValidationError";
+
+        Object.setPrototypeOf(this, TokenValidationError.prototype);
+    }
+
+    /**
+     * Creates an error when the request does not carry a bearer token
+     *
+     * @returns {TokenValidationError} Token not found error
+     */
+    static createTokenNotFoundError(): TokenValidationError {
+        return new TokenValidationError(
+            TokenValidationErrorMessage.tokenNotFound.code,
+            TokenValidationErrorMessage.tokenNotFound.desc
+        );
+    }
+
+    /**
+     * Creates an error when the token is not a well-formed JWT
+     *
+     * @returns {TokenValidationError} Token not decoded error
+     */
+    static createTokenNotDecodedError(): TokenValidationError {
+        return new TokenValidationError(
+            TokenValidationErrorMessage.tokenNotDecoded.code,
+            TokenValidationErrorMessage.tokenNotDecoded.desc
+        );
+    }
+
+    /**
+     * Creates an error when the token signature does not verify
+     *
+     * @returns {TokenValidationError} Token not verified error
+     */
+    static createTokenNotVerifiedError(): TokenValidationError {
+        return new TokenValidationError(
+            TokenValidationErrorMessage.tokenNotVerified.code,
+            TokenValidationErrorMessage.tokenNotVerified.desc
+        );
+    }
+
+    /**
+     * Creates an error when the signing keys cannot be retrieved from the authority
+     *
+     * @returns {TokenValidationError} Keys not obtained error
+     */
+    static createKeysNotObtainedError(): TokenValidationError {
+        return new TokenValidationError(
+            TokenValidationErrorMessage.keysNotObtained.code,
+            TokenValidationErrorMessage.keysNotObtained.desc
+        );
+    }
+
+    /**
+     * Creates an error when a claim in the token fails validation
+     *
+     * @param {string} reason: which check failed
+     * @returns {TokenValidationError} Invalid token error
+     */
+    static createInvalidTokenError(reason: string): TokenValidationError {
+        return new TokenValidationError(
+            TokenValidationErrorMessage.invalidToken.code,
+            `${TokenValidationErrorMessage.invalidToken.desc}: ${reason}`
+        );
+    }
+}
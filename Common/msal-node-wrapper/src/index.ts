@@ -5,6 +5,7 @@
 
 import { AccountInfo, AuthenticationResult, AuthorizationCodeRequest } from "@azure/msal-node";
 import { AuthContext } from "./middleware/context/AuthContext";
+import { PendingRequest, ResolvedGroups } from "./middleware/MiddlewareOptions";
 
 declare module "express-session" {
     interface SessionData {
@@ -12,7 +13,11 @@ declare module "express-session" {
         isAuthenticated: boolean;
         protectedResources: Record<string, AuthenticationResult>
         tokenRequestParams: AuthorizationCodeRequest;
-        tokenCache?: string,
+        nonce?: string;
+        resolvedGroups?: ResolvedGroups;
+        pendingClaims?: Record<string, Record<string, string>>; // claims keyed by home account ID and resource
+        pendingRequest?: PendingRequest;
+        authContextStepUp?: string; // authentication context the user was last sent to step up to
     }
 }
 
@@ -30,32 +35,70 @@ export {
     NodeSystemOptions, 
     AuthError, 
     Logger, 
-    AccountInfo
+    AccountInfo,
+    ICacheClient,
+    AzureCloudInstance,
+    AzureCloudOptions
 } from "@azure/msal-node";
 
 export { WebAppAuthProvider } from "./provider/WebAppAuthProvider";
+export { WebApiAuthProvider } from "./provider/WebApiAuthProvider";
+export { DaemonAuthProvider } from "./provider/DaemonAuthProvider";
 export { AuthContext, RequestContext } from "./middleware/context/AuthContext";
+export { InMemoryCacheClient } from "./cache/InMemoryCacheClient";
+export { FileCacheClient } from "./cache/FileCacheClient";
+export { WebApiAuthContext, WebApiRequest } from "./middleware/context/WebApiAuthContext";
 
 export {
     WebAppAuthConfig,
+    WebApiAuthConfig,
+    TokenValidationParams,
     AuthConfig,
+    CacheConfig,
+    MetadataOptions,
     AuthRoutes,
+    SecurityOptions,
+    RedirectAllowlist,
+    B2CPolicies,
+    RequestReplayOptions,
+    AccessMatrix,
+    AccessRule,
+    AccessRequirement,
     ProtectedResourceParams,
     ProtectedResourcesMap,
 } from "./config/ConfigurationTypes";
 
 export {
     RouteGuardOptions,
+    AccessDeniedHandlerOptions,
+    FailedRequirement,
+    RequiredClaims,
+    ClaimValue,
+    ClaimCondition,
+    ClaimsPredicate,
+    WebApiRouteGuardOptions,
     AuthenticateMiddlewareOptions,
+    PublicRoute,
+    WebApiAuthenticateMiddlewareOptions,
     LoginOptions,
     LogoutOptions,
     TokenRequestOptions,
+    OnBehalfOfRequestOptions,
+    AppTokenRequestOptions,
     AppState,
     IdTokenClaims,
+    AccessTokenClaims,
+    LogoutTokenClaims,
 } from "./middleware/MiddlewareOptions";
 
 export { AccessDeniedError } from "./error/AccessDeniedError";
 
 export { InteractionRequiredError } from "./error/InteractionRequiredError";
 
+export { ClaimsChallengeError } from "./error/ClaimsChallengeError";
+
+export { TokenValidationError } from "./error/TokenValidationError";
+
+export { AuthResponseError } from "./error/AuthResponseError";
+
 export { packageVersion } from "./packageMetadata";
@@ -3,18 +3,31 @@
  * Licensed under the MIT License.
  */
 
+import { Request, Response } from "express";
 import { CommonEndSessionRequest, TokenClaims } from "@azure/msal-common";
-import { AuthorizationUrlRequest, AuthorizationCodeRequest, AccountInfo } from "@azure/msal-node";
+import { AuthorizationUrlRequest, AuthorizationCodeRequest, AccountInfo, OnBehalfOfRequest, ClientCredentialRequest } from "@azure/msal-node";
 import { ProtectedResourcesMap } from "../config/ConfigurationTypes";
+import { AccessDeniedError } from "../error/AccessDeniedError";
 
 export type AuthenticateMiddlewareOptions = {
     protectAllRoutes?: boolean;
+    publicRoutes?: PublicRoute[]; // routes that stay anonymous when all routes are protected
     acquireTokenForResources?: ProtectedResourcesMap
 };
 
+/**
+ * Path in Express route syntax, e.g. /healthz or /assets/*, or a regular expression
+ */
+export type PublicRoute = string | RegExp;
+
+export type WebApiAuthenticateMiddlewareOptions = {
+    protectAllRoutes?: boolean;
+};
+
 export type LoginOptions = Pick<AuthorizationCodeRequest, "scopes" | "claims" | "tokenBodyParameters" | "tokenQueryParameters"> & Pick<AuthorizationUrlRequest, "scopes" | "account" | "loginHint" | "domainHint" | "state" | "extraQueryParameters" | "extraScopesToConsent" | "prompt" | "sid"> & {
     postLoginRedirectUri?: string;
     postFailureRedirectUri?: string;
+    policy?: string; // name of a B2C policy in the configuration, e.g. editProfile
 };
 
 export type LogoutOptions = Pick<CommonEndSessionRequest, "account" | "state" | "postLogoutRedirectUri" | "logoutHint" | "extraQueryParameters"> & {
@@ -27,6 +40,12 @@ export type TokenRequestOptions = LoginOptions & {
     account?: AccountInfo;
 };
 
+export type OnBehalfOfRequestOptions = Pick<OnBehalfOfRequest, "scopes" | "claims" | "tokenQueryParameters" | "skipCache">;
+
+export type AppTokenRequestOptions = Pick<ClientCredentialRequest, "claims" | "skipCache" | "tokenQueryParameters"> & {
+    scopes: Array<string>;
+};
+
 export type TokenRequestMiddlewareOptions = {
     resourceName: string;
 };
@@ -35,10 +54,63 @@ export type RouteGuardOptions = {
     forceLogin?: boolean;
     postLoginRedirectUri?: string;
     postFailureRedirectUri?: string;
-    idTokenClaims?: IdTokenClaims;
+    idTokenClaims?: RequiredClaims;
+    predicate?: ClaimsPredicate;
+    requiredAuthContext?: string;
+};
+
+export type AccessDeniedHandlerOptions = {
+    view?: string; // name of the view to render for browsers, e.g. denied
+    render?: (error: AccessDeniedError, req: Request, res: Response) => void | Promise<void>; // replaces the default responses
+};
+
+/**
+ * Requirement of a route that the user does not satisfy
+ */
+export type FailedRequirement = {
+    claims?: RequiredClaims; // required ID token claims that are missing or do not match
+    predicate?: boolean; // the custom predicate of the route returned false
+    method?: string; // the access matrix does not allow this method for the route
+};
+
+export type ClaimValue = string | number | boolean;
+
+export type ClaimCondition = {
+    anyOf?: ClaimValue[];
+    allOf?: ClaimValue[];
+    noneOf?: ClaimValue[];
+    gt?: number;
+    gte?: number;
+    lt?: number;
+    lte?: number;
+    maxAge?: number; // in seconds, for timestamp claims such as auth_time
+};
+
+export type RequiredClaims = Record<string, ClaimValue | ClaimValue[] | ClaimCondition>;
+
+export type ClaimsPredicate = (claims: IdTokenClaims, req: Request) => boolean | Promise<boolean>;
+
+export type WebApiRouteGuardOptions = {
+    scopes?: string[];
+    appRoles?: string[];
+};
+
+export type ResolvedGroups = {
+    groups: string[];
+    expiresOn: number;
+};
+
+/**
+ * Form submission that was interrupted by a login, to be replayed once the user has signed in
+ */
+export type PendingRequest = {
+    method: string;
+    url: string;
+    fields: Array<[string, string]>;
 };
 
 export type AppState = {
+    csrfToken: string;
     redirectTo: string;
     customState?: string;
 };
@@ -47,9 +119,26 @@ export type IdTokenClaims = TokenClaims & {
     aud?: string;
     roles?: string[];
     groups?: string[];
-    _claim_names?: string[];
-    _claim_sources?: string[];
+    _claim_names?: Record<string, string>;
+    _claim_sources?: Record<string, { endpoint?: string }>;
     xms_cc?: string;
     acrs?: string[];
     [key: string]: string | number | string[] | object | undefined | unknown;
 };
+
+export type LogoutTokenClaims = Omit<TokenClaims, "iss" | "aud"> & {
+    iss: string; // required, as sessions are indexed by issuer
+    aud?: string | string[];
+    jti?: string;
+    events?: Record<string, object>;
+};
+
+export type AccessTokenClaims = TokenClaims & {
+    aud?: string;
+    scp?: string;
+    roles?: string[];
+    azp?: string;
+    appid?: string;
+    idtyp?: string;
+    [key: string]: string | number | string[] | object | undefined | unknown;
+};
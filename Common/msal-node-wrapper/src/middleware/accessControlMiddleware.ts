@@ -0,0 +1,126 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+import { Request, Response, NextFunction, RequestHandler } from "express";
+import { WebAppAuthProvider } from "../provider/WebAppAuthProvider";
+import { AccessRequirement } from "../config/ConfigurationTypes";
+import { RequiredClaims } from "./MiddlewareOptions";
+import { AccessDeniedError } from "../error/AccessDeniedError";
+import { UrlUtils } from "../utils/UrlUtils";
+import { ConfigurationErrorMessages, ErrorMessages, HttpMethods } from "../utils/Constants";
+import guardMiddleware from "./guardMiddleware";
+
+type RuleGuard = {
+    path: string;
+    methodGuards: Map<string, RequestHandler[]>;
+};
+
+function accessControlMiddleware(this: WebAppAuthProvider): RequestHandler {
+    const accessMatrix = this.webAppAuthConfig.accessMatrix;
+
+    if (!accessMatrix || Object.keys(accessMatrix).length === 0) {
+        throw new Error(ConfigurationErrorMessages.NO_ACCESS_MATRIX_CONFIGURED);
+    }
+
+    // route guards are created once for each requirement of each method of each rule, in the order the rules are given
+    const ruleGuards: RuleGuard[] = Object.values(accessMatrix).map((rule) => {
+        const methodGuards = new Map<string, RequestHandler[]>();
+
+        Object.entries(rule.methods).forEach(([method, requirement]) => {
+            methodGuards.set(method.toUpperCase(), getRequiredClaims(requirement).map((idTokenClaims) => {
+                return guardMiddleware.call(this, { forceLogin: false, idTokenClaims });
+            }));
+        });
+
+        return { path: rule.path, methodGuards };
+    });
+
+    return (req: Request, res: Response, next: NextFunction): void => {
+        if (!req.authContext.isAuthenticated()) {
+            return next(AccessDeniedError.createUnauthorizedAccessError(req.originalUrl, req.authContext.getAccount()));
+        }
+
+        const path = `${req.baseUrl}${req.path}`;
+        const ruleGuard = ruleGuards.find((rule) => UrlUtils.matchesRoutePattern(path, rule.path));
+
+        if (!ruleGuard) {
+            this.getLogger().error(`${ErrorMessages.RULE_NOT_FOUND}: ${path}`);
+            return next(new Error(ErrorMessages.RULE_NOT_FOUND));
+        }
+
+        const method = req.method.toUpperCase();
+
+        // Express serves HEAD requests with the GET handlers of a route, so they are allowed wherever GET is
+        const methodGuards = ruleGuard.methodGuards.get(method)
+            || (method === HttpMethods.HEAD ? ruleGuard.methodGuards.get(HttpMethods.GET) : undefined);
+
+        if (!methodGuards) {
+            this.getLogger().warning(`${ErrorMessages.METHOD_NOT_ALLOWED}: ${req.method} ${path}`);
+            return next(AccessDeniedError.createMethodNotAllowedError(
+                req.originalUrl,
+                req.authContext.getAccount(),
+                { method: req.method.toUpperCase() }
+            ));
+        }
+
+        runGuards(methodGuards, req, res, next);
+    };
+}
+
+/**
+ * Returns the alternative ID token claims required by a rule for a given method: users need one of the
+ * roles or one of the groups. A method without any roles or groups is allowed for every authenticated user
+ * @param {AccessRequirement} requirement: roles and groups required for the method
+ * @returns {RequiredClaims[]}
+ */
+function getRequiredClaims(requirement: AccessRequirement): RequiredClaims[] {
+    const requiredClaims: RequiredClaims[] = [];
+
+    if (requirement.roles && requirement.roles.length > 0) {
+        requiredClaims.push({ roles: requirement.roles });
+    }
+
+    if (requirement.groups && requirement.groups.length > 0) {
+        requiredClaims.push({ groups: requirement.groups });
+    }
+
+    return requiredClaims.length > 0 ? requiredClaims : [{}];
+}
+
+/**
+ * Tries the guards of the alternative requirements in turn, and lets the request through once one of them does.
+ * If every guard denies access, the error lists the claims of all the requirements
+ * @param {RequestHandler[]} guards: guards of the alternative requirements
+ * @param {Request} req: Express request object
+ * @param {Response} res: Express response object
+ * @param {NextFunction} next: Express next function
+ */
+function runGuards(guards: RequestHandler[], req: Request, res: Response, next: NextFunction): void {
+    const failedClaims: RequiredClaims = {};
+
+    const tryGuard = (index: number): void => {
+        guards[index](req, res, (error?: unknown) => {
+            if (!(error instanceof AccessDeniedError) || !error.requirement?.claims) {
+                return next(error);
+            }
+
+            Object.assign(failedClaims, error.requirement.claims);
+
+            if (index < guards.length - 1) {
+                return tryGuard(index + 1);
+            }
+
+            next(AccessDeniedError.createForbiddenAccessError(
+                req.originalUrl,
+                req.authContext.getAccount(),
+                { claims: failedClaims }
+            ));
+        });
+    };
+
+    tryGuard(0);
+}
+
+export default accessControlMiddleware;
@@ -0,0 +1,60 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+import { Request, Response, NextFunction, ErrorRequestHandler } from "express";
+import { WebAppAuthProvider } from "../provider/WebAppAuthProvider";
+import { AccessDeniedHandlerOptions } from "./MiddlewareOptions";
+import { AccessDeniedError } from "../error/AccessDeniedError";
+import { HeaderUtils } from "../utils/HeaderUtils";
+
+function accessDeniedMiddleware(
+    this: WebAppAuthProvider,
+    options: AccessDeniedHandlerOptions
+): ErrorRequestHandler {
+    return async (err: unknown, req: Request, res: Response, next: NextFunction): Promise<void> => {
+        if (!(err instanceof AccessDeniedError)) {
+            return next(err);
+        }
+
+        this.getLogger().verbose(`Access denied to route: ${err.route}`);
+
+        const statusCode = err.errorCode === "401" ? 401 : 403;
+
+        res.status(statusCode);
+
+        if (options.render) {
+            try {
+                await options.render(err, req, res);
+            } catch (error) {
+                next(error);
+            }
+
+            return;
+        }
+
+        if (HeaderUtils.prefersJson(req)) {
+            res.json({
+                error: err.errorMessage,
+                route: err.route,
+                requirement: err.requirement,
+            });
+            return;
+        }
+
+        if (options.view) {
+            return res.render(options.view, {
+                isAuthenticated: req.authContext.isAuthenticated(),
+                statusCode,
+                message: err.errorMessage,
+                route: err.route,
+                requirement: err.requirement,
+            }, (error: Error | null, html?: string) => error ? next(error) : res.send(html));
+        }
+
+        res.type("text").send(err.errorMessage);
+    };
+}
+
+export default accessDeniedMiddleware;
@@ -10,6 +10,8 @@ import { UrlUtils } from "../utils/UrlUtils";
 import { ErrorMessages } from "../utils/Constants";
 import { AuthContext } from "./context/AuthContext";
 import redirectHandler from "./handlers/redirectHandler";
+import frontChannelLogoutHandler from "./handlers/frontChannelLogoutHandler";
+import backChannelLogoutHandler from "./handlers/backChannelLogoutHandler";
 import acquireTokenHandler from "./handlers/acquireTokenHandler";
 
 function authenticateMiddleware(
@@ -40,20 +42,27 @@ function authenticateMiddleware(
          */
         appRouter.get(
             UrlUtils.getPathFromUrl(this.webAppAuthConfig.auth.frontChannelLogoutUri),
-            (req, res, next) => {
-                if (req.authContext.isAuthenticated()) {
-                    return req.authContext.logout({
-                        postLogoutRedirectUri: "/",
-                        idpLogout: false
-                    })(req, res, next);
-                }
-
-                return res.status(401).send("Unauthorized");
-            });
+            frontChannelLogoutHandler.call(this)
+        );
+    }
+
+    if (this.webAppAuthConfig.auth.backChannelLogoutUri) {
+        // the identity provider posts logout tokens to this route directly, outside of the user's browser
+        appRouter.post(
+            UrlUtils.getPathFromUrl(this.webAppAuthConfig.auth.backChannelLogoutUri),
+            backChannelLogoutHandler.call(this)
+        );
     }
 
     if (options.protectAllRoutes) {
-        appRouter.use((req, res, next) => {
+        const protectedRouter = Router();
+
+        if (options.publicRoutes?.length) {
+            // leave the protected router, so that requests to public routes skip the login below
+            protectedRouter.all(options.publicRoutes, (_req, _res, next) => next("router"));
+        }
+
+        protectedRouter.use((req, res, next) => {
             if (!req.authContext.isAuthenticated()) {
                 return req.authContext.login({
                     postLoginRedirectUri: req.originalUrl,
@@ -63,6 +72,8 @@ function authenticateMiddleware(
 
             return next();
         });
+
+        appRouter.use(protectedRouter);
     }
 
     if (options.acquireTokenForResources) {
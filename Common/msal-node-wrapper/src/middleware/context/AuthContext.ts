@@ -5,12 +5,12 @@
 
 import { Request, Response, NextFunction, RequestHandler } from "express";
 import { TimeUtils } from "@azure/msal-common";
-import { AccountInfo } from "@azure/msal-node";
+import { AccountInfo, AuthenticationResult } from "@azure/msal-node";
 import { WebAppAuthProvider } from "../../provider/WebAppAuthProvider";
 import { LoginOptions, LogoutOptions, TokenRequestOptions } from "../MiddlewareOptions";
 import loginHandler from "../handlers/loginHandler";
 import logoutHandler from "../handlers/logoutHandler";
-import acquireTokenHandler from "../handlers/acquireTokenHandler";
+import acquireTokenHandler, { acquireToken } from "../handlers/acquireTokenHandler";
 
 export type RequestContext = { req: Request, res: Response, next: NextFunction };
 
@@ -63,6 +63,18 @@ export class AuthContext {
         return acquireTokenHandler.call(this.provider, options);
     }
 
+    /**
+     * Acquires an access token for given request parameters. Rejects with an InteractionRequiredError,
+     * which the interactionErrorHandler middleware handles, if the user needs to sign in again
+     * @param {TokenRequestOptions} options: options to modify token request
+     * @returns {Promise<AuthenticationResult>}
+     */
+    getToken(options: TokenRequestOptions = {
+        scopes: [],
+    }): Promise<AuthenticationResult> {
+        return acquireToken.call(this.provider, this.context.req, options);
+    }
+
     /**
      * Returns the current user account from session
      * @returns {AccountInfo} account object
@@ -79,6 +91,27 @@ export class AuthContext {
         return !!this.getAccount();
     }
 
+    /**
+     * Returns the group memberships of the current user. If the groups claim was replaced by an overage
+     * claim, the groups resolved by the route guard are returned instead, as long as they have not expired
+     * @returns {Array | undefined} group IDs
+     */
+    getGroups(): string[] | undefined {
+        const groups = this.getAccount()?.idTokenClaims?.groups as string[] | undefined;
+
+        if (groups) {
+            return groups;
+        }
+
+        const resolvedGroups = this.context.req.session.resolvedGroups;
+
+        if (resolvedGroups && resolvedGroups.expiresOn > Date.now()) {
+            return resolvedGroups.groups;
+        }
+
+        return undefined;
+    }
+
     /**
      * Returns the cached token for a given resource
      * @param {string} resourceName: name of the resource to retrieve token for 
@@ -0,0 +1,89 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+import { Request, RequestHandler } from "express";
+import { WebApiAuthProvider } from "../../provider/WebApiAuthProvider";
+import { AccessTokenClaims, OnBehalfOfRequestOptions } from "../MiddlewareOptions";
+import acquireTokenOnBehalfOfHandler from "../handlers/acquireTokenOnBehalfOfHandler";
+import { TokenValidationConstants } from "../../utils/Constants";
+
+export type WebApiRequest = Omit<Request, "authContext"> & {
+    authContext: WebApiAuthContext;
+};
+
+export class WebApiAuthContext {
+    private provider: WebApiAuthProvider;
+    private accessToken?: string;
+    private tokenClaims?: AccessTokenClaims;
+
+    constructor(provider: WebApiAuthProvider, accessToken?: string, tokenClaims?: AccessTokenClaims) {
+        this.provider = provider;
+        this.accessToken = accessToken;
+        this.tokenClaims = tokenClaims;
+    }
+
+    /**
+     * Exchanges the access token presented by the caller for a token to a downstream
+     * API, using the on-behalf-of flow
+     * @param {OnBehalfOfRequestOptions} options: options to modify token request
+     * @returns {RequestHandler}
+     */
+    acquireTokenOnBehalfOf(options: OnBehalfOfRequestOptions): RequestHandler {
+        return acquireTokenOnBehalfOfHandler.call(this.provider, options);
+    }
+
+    /**
+     * Returns true if the request carried a valid access token
+     * @returns {boolean} authentication status
+     */
+    isAuthenticated(): boolean {
+        return !!this.tokenClaims;
+    }
+
+    /**
+     * Returns the raw access token presented by the caller
+     * @returns {string | undefined} access token
+     */
+    getAccessToken(): string | undefined {
+        return this.accessToken;
+    }
+
+    /**
+     * Returns the validated claims of the access token presented by the caller
+     * @returns {AccessTokenClaims | undefined} token claims
+     */
+    getTokenClaims(): AccessTokenClaims | undefined {
+        return this.tokenClaims;
+    }
+
+    /**
+     * Returns true if the caller is an application acting on its own behalf (e.g. a daemon),
+     * rather than on behalf of a signed-in user
+     * @returns {boolean}
+     */
+    isAppOnly(): boolean {
+        if (!this.tokenClaims) {
+            return false;
+        }
+
+        return this.tokenClaims.idtyp === TokenValidationConstants.APP_ONLY_TOKEN_TYPE || !this.tokenClaims.scp;
+    }
+
+    /**
+     * Returns the delegated permissions granted to the caller, from the scp claim
+     * @returns {Array} scopes
+     */
+    getScopes(): string[] {
+        return this.tokenClaims?.scp ? this.tokenClaims.scp.split(" ") : [];
+    }
+
+    /**
+     * Returns the application permissions granted to the caller, from the roles claim
+     * @returns {Array} app roles
+     */
+    getAppRoles(): string[] {
+        return this.tokenClaims?.roles || [];
+    }
+}
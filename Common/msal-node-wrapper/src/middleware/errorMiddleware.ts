@@ -6,9 +6,17 @@
 import { Request, Response, NextFunction, ErrorRequestHandler } from "express";
 import { WebAppAuthProvider } from "../provider/WebAppAuthProvider";
 import { InteractionRequiredError } from "../error/InteractionRequiredError";
+import { ClaimsChallengeError } from "../error/ClaimsChallengeError";
+import { ConfigurationHelper } from "../config/ConfigurationHelper";
+import { InfoMessages } from "../utils/Constants";
 
 function errorMiddleware(this: WebAppAuthProvider): ErrorRequestHandler {
     return (err: unknown, req: Request, res: Response, next: NextFunction): Response | void => {
+        if (err instanceof ClaimsChallengeError) {
+            this.getLogger().info(InfoMessages.CLAIMS_CHALLENGE_RECEIVED);
+            setPendingClaims(req, err);
+        }
+
         if (err instanceof InteractionRequiredError) {
             return req.authContext.login({
                 postLoginRedirectUri: err.requestOptions.postLoginRedirectUri || req.originalUrl,
@@ -20,4 +28,34 @@ function errorMiddleware(this: WebAppAuthProvider): ErrorRequestHandler {
     };
 }
 
+/**
+ * Stores the claims of a challenge for the signed-in user and the resource that sent it, so that they are
+ * requested with the next token for the resource. Tokens for the resource cached in the session are dropped
+ * @param {Request} req: Express request object
+ * @param {ClaimsChallengeError} error: claims challenge error
+ */
+function setPendingClaims(req: Request, error: ClaimsChallengeError): void {
+    const account = req.authContext.getAccount();
+
+    if (!account) {
+        return;
+    }
+
+    req.session.pendingClaims = {
+        ...req.session.pendingClaims,
+        [account.homeAccountId]: {
+            ...req.session.pendingClaims?.[account.homeAccountId],
+            [error.resource]: error.claims,
+        },
+    };
+
+    const protectedResources = req.session.protectedResources || {};
+
+    Object.entries(protectedResources).forEach(([resourceName, tokenResponse]) => {
+        if (ConfigurationHelper.getResourceFromScopes(tokenResponse.scopes) === error.resource) {
+            delete protectedResources[resourceName];
+        }
+    });
+}
+
 export default errorMiddleware;
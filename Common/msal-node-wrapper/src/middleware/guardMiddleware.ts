@@ -4,57 +4,106 @@
  */
 
 import { Request, Response, NextFunction, RequestHandler } from "express";
+import { AccountInfo, InteractionRequiredAuthError } from "@azure/msal-node";
 import { WebAppAuthProvider } from "../provider/WebAppAuthProvider";
-import { RouteGuardOptions } from "./MiddlewareOptions";
+import { IdTokenClaims, RouteGuardOptions } from "./MiddlewareOptions";
 import { AccessDeniedError } from "../error/AccessDeniedError";
+import { InteractionRequiredError } from "../error/InteractionRequiredError";
+import { FetchManager } from "../network/FetchManager";
+import { ClaimUtils } from "../utils/ClaimUtils";
+import { AccessControlConstants, ErrorMessages, InfoMessages } from "../utils/Constants";
 
 function guardMiddleware(
     this: WebAppAuthProvider,
     options: RouteGuardOptions
 ): RequestHandler {
-    return (req: Request, res: Response, next: NextFunction): void | Response => {
+    return async (req: Request, res: Response, next: NextFunction): Promise<void | Response> => {
         if (!req.authContext.isAuthenticated()) {
             if (options.forceLogin) {
                 return req.authContext.login({
                     postLoginRedirectUri: req.originalUrl,
                     scopes: [],
+                    claims: options.requiredAuthContext ?
+                        ClaimUtils.getAuthContextClaimsRequest(options.requiredAuthContext) : undefined,
                 })(req, res, next);
             }
 
             return next(AccessDeniedError.createUnauthorizedAccessError(req.originalUrl, req.authContext.getAccount()));
         }
 
-        if (options.idTokenClaims) {
-            const tokenClaims = req.authContext.getAccount()?.idTokenClaims || {};
-            const requiredClaims = options.idTokenClaims;
-
-            const hasClaims = Object.keys(requiredClaims).every((claim: string) => {
-                if (requiredClaims[claim] && tokenClaims[claim]) {
-                    switch (typeof requiredClaims[claim]) {
-                        case "string" || "number":
-                            return requiredClaims[claim] === tokenClaims[claim];
-
-                        case "object":
-                            if (Array.isArray(requiredClaims[claim])) {
-                                const requiredClaimsArray = requiredClaims[claim] as [];
-                                const tokenClaimsArray = tokenClaims[claim] as [];
-
-                                return requiredClaimsArray.some(
-                                    (requiredClaim) => tokenClaimsArray.indexOf(requiredClaim) >= 0
-                                );
-                            }
-                            break;
-
-                        default:
-                            break;
-                    }
+        if (options.requiredAuthContext) {
+            const account = req.authContext.getAccount();
+            const authContexts = account?.idTokenClaims?.[AccessControlConstants.AUTH_CONTEXT_CLAIM] as string[] | undefined;
+
+            if (!authContexts || !authContexts.includes(options.requiredAuthContext)) {
+                // a user that has stepped up already but still lacks the authentication context is not sent back
+                if (req.session.authContextStepUp === options.requiredAuthContext) {
+                    this.getLogger().warning(ErrorMessages.AUTH_CONTEXT_NOT_SATISFIED);
+                    delete req.session.authContextStepUp;
+
+                    return next(AccessDeniedError.createForbiddenAccessError(
+                        req.originalUrl,
+                        account,
+                        { claims: { [AccessControlConstants.AUTH_CONTEXT_CLAIM]: options.requiredAuthContext } }
+                    ));
                 }
 
-                return false;
-            });
+                this.getLogger().info(InfoMessages.AUTH_CONTEXT_STEP_UP);
+                req.session.authContextStepUp = options.requiredAuthContext;
 
-            if (!hasClaims) {
-                return next(AccessDeniedError.createForbiddenAccessError(req.originalUrl, req.authContext.getAccount()));
+                // the user signs in again, satisfying the Conditional Access policies of the authentication context
+                return req.authContext.login({
+                    postLoginRedirectUri: req.originalUrl,
+                    scopes: [],
+                    claims: ClaimUtils.getAuthContextClaimsRequest(options.requiredAuthContext),
+                    loginHint: account?.username,
+                })(req, res, next);
+            }
+
+            delete req.session.authContextStepUp;
+        }
+
+        if (options.idTokenClaims || options.predicate) {
+            let tokenClaims: IdTokenClaims = req.authContext.getAccount()?.idTokenClaims || {};
+            const requiredClaims = options.idTokenClaims || {};
+
+            if (requiredClaims.groups && isGroupsOverage(tokenClaims)) {
+                this.getLogger().info(InfoMessages.OVERAGE_OCCURRED);
+
+                try {
+                    tokenClaims = {
+                        ...tokenClaims,
+                        groups: await resolveGroupsOverage.call(this, req),
+                    };
+                } catch (error) {
+                    return next(error);
+                }
+            }
+
+            const failedClaims = ClaimUtils.getUnmatchedClaims(tokenClaims, requiredClaims);
+
+            if (Object.keys(failedClaims).length > 0) {
+                return next(AccessDeniedError.createForbiddenAccessError(
+                    req.originalUrl,
+                    req.authContext.getAccount(),
+                    { claims: failedClaims }
+                ));
+            }
+
+            let satisfiesPredicate: boolean;
+
+            try {
+                satisfiesPredicate = !options.predicate || await options.predicate(tokenClaims, req);
+            } catch (error) {
+                return next(error);
+            }
+
+            if (!satisfiesPredicate) {
+                return next(AccessDeniedError.createForbiddenAccessError(
+                    req.originalUrl,
+                    req.authContext.getAccount(),
+                    { predicate: true }
+                ));
             }
         }
 
@@ -62,4 +111,63 @@ function guardMiddleware(
     };
 }
 
+/**
+ * Indicates whether the groups claim was replaced by an overage claim, as the user is a member of too many groups
+ * @param {IdTokenClaims} tokenClaims: ID token claims of the user
+ * @returns {boolean}
+ */
+function isGroupsOverage(tokenClaims: IdTokenClaims): boolean {
+    const claimNames = tokenClaims[AccessControlConstants.CLAIM_NAMES] as Record<string, string> | undefined;
+
+    return !tokenClaims[AccessControlConstants.GROUPS] && !!claimNames?.[AccessControlConstants.GROUPS];
+}
+
+/**
+ * Returns the group memberships of the user from Microsoft Graph. The groups are cached in
+ * the session, so that Microsoft Graph is only queried again once the cache has expired
+ * @param {Request} req: Express request object
+ * @returns {Promise<string[]>}
+ */
+async function resolveGroupsOverage(this: WebAppAuthProvider, req: Request): Promise<string[]> {
+    if (req.session.resolvedGroups && req.session.resolvedGroups.expiresOn > Date.now()) {
+        return req.session.resolvedGroups.groups;
+    }
+
+    const account = req.authContext.getAccount() as AccountInfo;
+    const scopes = AccessControlConstants.GRAPH_MEMBER_SCOPES.split(" ");
+
+    try {
+        const tokenResponse = await this.runWithCachePartition(
+            account.homeAccountId,
+            (msalClient) => msalClient.acquireTokenSilent({ account, scopes })
+        );
+
+        /**
+         * Microsoft Graph returns the memberships in pages, following the @odata.nextLink
+         * property of each page. For more information, visit: https://learn.microsoft.com/graph/paging
+         */
+        const groups = await FetchManager.handlePagination(
+            tokenResponse.accessToken,
+            AccessControlConstants.GRAPH_MEMBERS_ENDPOINT
+        );
+
+        req.session.resolvedGroups = {
+            groups,
+            expiresOn: Date.now() + AccessControlConstants.GROUPS_CACHE_TTL * 1000,
+        };
+
+        return groups;
+    } catch (error) {
+        if (error instanceof InteractionRequiredAuthError) {
+            // the user is asked to sign in again, consenting to the scopes required to read their memberships
+            throw new InteractionRequiredError(error.errorCode, error.errorMessage, error.subError, {
+                scopes,
+                postLoginRedirectUri: req.originalUrl,
+            });
+        }
+
+        throw error;
+    }
+}
+
 export default guardMiddleware;
@@ -8,6 +8,7 @@ import { AuthenticationResult, InteractionRequiredAuthError, SilentFlowRequest }
 import { WebAppAuthProvider } from "../../provider/WebAppAuthProvider";
 import { TokenRequestOptions, TokenRequestMiddlewareOptions } from "../MiddlewareOptions";
 import { InteractionRequiredError } from "../../error/InteractionRequiredError";
+import { ConfigurationHelper } from "../../config/ConfigurationHelper";
 
 function acquireTokenHandler(
     this: WebAppAuthProvider, 
@@ -18,42 +19,7 @@ function acquireTokenHandler(
         this.getLogger().trace("acquireTokenHandler called");
 
         try {
-            const account = options.account || req.session.account;
-
-            if (!account) {
-                throw new InteractionRequiredError(
-                    "no_account_found", 
-                    "No account found either in options or in session", 
-                    undefined, 
-                    options
-                );
-            }
-    
-            const silentRequest: SilentFlowRequest = {
-                account: account,
-                scopes: options.scopes,
-                claims: options.claims,
-                tokenQueryParameters: options.tokenQueryParameters,
-            };
-
-            const msalInstance = this.getMsalClient();
-
-            if (req.session.tokenCache) {
-                msalInstance.getTokenCache().deserialize(req.session.tokenCache);
-            }
-
-            const tokenResponse = await msalInstance.acquireTokenSilent(silentRequest);
-
-            req.session.tokenCache = msalInstance.getTokenCache().serialize();
-
-            if (!tokenResponse) {
-                throw new InteractionRequiredError(
-                    "null_response", 
-                    "AcquireTokenSilent return null response", 
-                    undefined, 
-                    options
-                );
-            }
+            const tokenResponse = await acquireToken.call(this, req, options);
 
             if (useAsMiddlewareOptions) {
                 if (!req.session.protectedResources) {
@@ -69,18 +35,83 @@ function acquireTokenHandler(
 
             return tokenResponse;
         } catch (error) {
-            if (error instanceof InteractionRequiredAuthError) {
-                return next(new InteractionRequiredError(
-                    error.errorCode,
-                    error.errorMessage,
-                    error.subError,
-                    options
-                ));
-            }
-
             next(error);
         }
     };
 }
 
+/**
+ * Acquires an access token silently for the user of a given request, replaying any claims challenged by
+ * the resource. Rejects with an InteractionRequiredError if the user needs to sign in again
+ * @param {Request} req: Express request object
+ * @param {TokenRequestOptions} options: options to modify token request
+ * @returns {Promise<AuthenticationResult>}
+ */
+export async function acquireToken(
+    this: WebAppAuthProvider,
+    req: Request,
+    options: TokenRequestOptions
+): Promise<AuthenticationResult> {
+    let requestOptions = options;
+
+    try {
+        const account = options.account || req.session.account;
+
+        if (!account) {
+            throw new InteractionRequiredError(
+                "no_account_found", 
+                "No account found either in options or in session", 
+                undefined, 
+                options
+            );
+        }
+
+        // claims challenged by the resource are replayed, which also bypasses the cached token
+        const resource = ConfigurationHelper.getResourceFromScopes(options.scopes);
+        const pendingClaims = req.session.pendingClaims?.[account.homeAccountId]?.[resource];
+
+        if (pendingClaims) {
+            requestOptions = { ...options, claims: options.claims || pendingClaims };
+        }
+
+        const silentRequest: SilentFlowRequest = {
+            account: account,
+            scopes: requestOptions.scopes,
+            claims: requestOptions.claims,
+            tokenQueryParameters: requestOptions.tokenQueryParameters,
+        };
+
+        const tokenResponse = await this.runWithCachePartition(
+            account.homeAccountId,
+            (msalClient) => msalClient.acquireTokenSilent(silentRequest)
+        );
+
+        if (!tokenResponse) {
+            throw new InteractionRequiredError(
+                "null_response", 
+                "AcquireTokenSilent return null response", 
+                undefined, 
+                options
+            );
+        }
+
+        if (pendingClaims) {
+            delete req.session.pendingClaims?.[account.homeAccountId]?.[resource];
+        }
+
+        return tokenResponse;
+    } catch (error) {
+        if (error instanceof InteractionRequiredAuthError) {
+            throw new InteractionRequiredError(
+                error.errorCode,
+                error.errorMessage,
+                error.subError,
+                requestOptions
+            );
+        }
+
+        throw error;
+    }
+}
+
 export default acquireTokenHandler;
@@ -0,0 +1,88 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+import { Request, Response, NextFunction, RequestHandler } from "express";
+import { AuthenticationResult, ConfidentialClientApplication, InteractionRequiredAuthError, OnBehalfOfRequest } from "@azure/msal-node";
+import { WebApiAuthProvider } from "../../provider/WebApiAuthProvider";
+import { OnBehalfOfRequestOptions } from "../MiddlewareOptions";
+import { WebApiRequest } from "../context/WebApiAuthContext";
+import { InteractionRequiredError } from "../../error/InteractionRequiredError";
+import { TokenValidationError } from "../../error/TokenValidationError";
+import { ErrorMessages } from "../../utils/Constants";
+
+function acquireTokenOnBehalfOfHandler(
+    this: WebApiAuthProvider,
+    options: OnBehalfOfRequestOptions
+): RequestHandler {
+    return async (req: Request, _res: Response, next: NextFunction): Promise<AuthenticationResult | void> => {
+        this.getLogger().trace("acquireTokenOnBehalfOfHandler called");
+
+        try {
+            const { authContext } = req as unknown as WebApiRequest;
+            const oboAssertion = authContext?.getAccessToken();
+
+            if (!oboAssertion) {
+                throw TokenValidationError.createInvalidTokenError(ErrorMessages.NO_TOKEN_TO_EXCHANGE);
+            }
+
+            const oboRequest: OnBehalfOfRequest = {
+                oboAssertion: oboAssertion,
+                scopes: options.scopes,
+                claims: options.claims,
+                tokenQueryParameters: options.tokenQueryParameters,
+                skipCache: options.skipCache,
+            };
+
+            const tokenClaims = authContext.getTokenClaims();
+            const userId = tokenClaims?.oid || tokenClaims?.sub;
+
+            let tokenResponse: AuthenticationResult | null;
+
+            if (userId) {
+                /**
+                 * MSAL caches tokens by a hash of the incoming token, so that it is exchanged only once per
+                 * downstream resource. They are kept in the cache partition of the user, which is named after
+                 * the home account ID that the token endpoint assigns to the user, i.e. <oid>.<tid>. Tokens
+                 * without an oid claim, e.g. some B2C tokens, are partitioned by their sub claim instead
+                 */
+                const homeAccountId = [userId, tokenClaims?.tid].filter((part) => !!part).join(".");
+
+                tokenResponse = await this.runWithCachePartition(
+                    homeAccountId,
+                    (msalClient) => msalClient.acquireTokenOnBehalfOf(oboRequest)
+                );
+            } else {
+                // callers that cannot be told apart must not share a partition, so the token is exchanged with a client of its own
+                this.getLogger().warning(ErrorMessages.NO_USER_CLAIM_TO_PARTITION);
+
+                tokenResponse = await new ConfidentialClientApplication(this.getMsalConfig())
+                    .acquireTokenOnBehalfOf(oboRequest);
+            }
+
+            if (!tokenResponse) {
+                throw new Error(ErrorMessages.TOKEN_RESPONSE_NULL);
+            }
+
+            return tokenResponse;
+        } catch (error) {
+            if (error instanceof InteractionRequiredAuthError) {
+                // the API cannot prompt the user, so the claims challenge is passed back to the client
+                return next(new InteractionRequiredError(
+                    error.errorCode,
+                    error.errorMessage,
+                    error.subError,
+                    {
+                        scopes: options.scopes,
+                        claims: error.claims || options.claims,
+                    }
+                ));
+            }
+
+            next(error);
+        }
+    };
+}
+
+export default acquireTokenOnBehalfOfHandler;
@@ -0,0 +1,81 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+import { Request, Response, NextFunction, RequestHandler } from "express";
+import { SessionData } from "express-session";
+import { WebAppAuthProvider } from "../../provider/WebAppAuthProvider";
+import { SessionIndex } from "../../cache/SessionIndex";
+import { LogoutTokenClaims } from "../MiddlewareOptions";
+import { TokenValidationError } from "../../error/TokenValidationError";
+import { BackChannelLogoutConstants } from "../../utils/Constants";
+
+/**
+ * Handles logout tokens that the identity provider posts to the back-channel logout route,
+ * and destroys the sessions they refer to. For more information, visit:
+ * https://openid.net/specs/openid-connect-backchannel-1_0.html#BCRequest
+ */
+function backChannelLogoutHandler(this: WebAppAuthProvider): RequestHandler {
+    return async (req: Request, res: Response, next: NextFunction): Promise<void> => {
+        this.getLogger().trace("backChannelLogoutHandler called");
+
+        res.set("Cache-Control", "no-store");
+
+        const logoutToken = req.body?.[BackChannelLogoutConstants.LOGOUT_TOKEN_PARAM];
+
+        if (typeof logoutToken !== "string") {
+            res.status(400).json({ error: "invalid_request", error_description: "No logout token found in the request" });
+            return;
+        }
+
+        let claims: LogoutTokenClaims;
+
+        try {
+            claims = await this.validateLogoutToken(logoutToken);
+        } catch (error) {
+            if (error instanceof TokenValidationError) {
+                this.getLogger().warning(`Logout token rejected: ${error.errorMessage}`);
+                res.status(400).json({ error: "invalid_request", error_description: error.errorMessage });
+                return;
+            }
+
+            return next(error);
+        }
+
+        try {
+            // the handler is only mounted if back-channel logout is enabled
+            const sessionIndex = this.getSessionIndex() as SessionIndex;
+            const sessionIds = await sessionIndex.find(claims);
+
+            await Promise.all(sessionIds.map(async (sessionId) => {
+                const session = await new Promise<SessionData | null | undefined>((resolve, reject) => {
+                    req.sessionStore.get(sessionId, (error, session) => error ? reject(error) : resolve(session));
+                });
+
+                if (session?.account) {
+                    await this.removeCachedAccount(session.account.homeAccountId);
+                }
+
+                await new Promise<void>((resolve, reject) => {
+                    req.sessionStore.destroy(sessionId, (error) => error ? reject(error) : resolve());
+                });
+
+                // the session is removed from the entries of both its sid and its sub, whichever the token has
+                await sessionIndex.remove(sessionId, {
+                    iss: claims.iss,
+                    sid: claims.sid || session?.account?.idTokenClaims?.sid,
+                    sub: claims.sub || session?.account?.idTokenClaims?.sub,
+                });
+            }));
+
+            this.getLogger().info(`Back-channel logout ended ${sessionIds.length} session(s)`);
+
+            res.status(200).end();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+export default backChannelLogoutHandler;
@@ -0,0 +1,59 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+import { Request, Response, RequestHandler } from "express";
+import { WebAppAuthProvider } from "../../provider/WebAppAuthProvider";
+import { FrontChannelLogoutConstants } from "../../utils/Constants";
+
+/**
+ * Handles front-channel logout requests, which the identity provider sends from a hidden iframe
+ * in the user's browser, and destroys the session if it was signed in with the session at the
+ * identity provider that has ended. For more information, visit:
+ * https://openid.net/specs/openid-connect-frontchannel-1_0.html#RPLogout
+ */
+function frontChannelLogoutHandler(this: WebAppAuthProvider): RequestHandler {
+    return async (req: Request, res: Response): Promise<void> => {
+        this.getLogger().trace("frontChannelLogoutHandler called");
+
+        // the response is rendered in an iframe, so it is neither a redirect nor an error page
+        const sendLogoutPage = () => {
+            res.set("Cache-Control", "no-store")
+                .status(200)
+                .type("html")
+                .send(FrontChannelLogoutConstants.LOGOUT_PAGE);
+        };
+
+        const account = req.authContext.getAccount();
+
+        if (!req.authContext.isAuthenticated() || !account) {
+            return sendLogoutPage();
+        }
+
+        const { sid, iss } = req.query;
+
+        // without both parameters, the request cannot be told apart from a forged one, e.g. an image on another site
+        const isSameSession = typeof sid === "string" && !!sid && sid === account.idTokenClaims?.sid;
+        const isSameIssuer = typeof iss === "string" && !!iss && iss === this.getIssuer(account);
+
+        if (!isSameSession || !isSameIssuer) {
+            this.getLogger().warning("Front-channel logout request does not match the session, ignoring it");
+            return sendLogoutPage();
+        }
+
+        try {
+            await this.removeCachedAccount(account.homeAccountId);
+
+            if (account.idTokenClaims) {
+                await this.getSessionIndex()?.remove(req.sessionID, account.idTokenClaims);
+            }
+        } catch (error) {
+            this.getLogger().error(`Error occurred while clearing cache for user: ${JSON.stringify(error)}`);
+        }
+
+        req.session.destroy(() => sendLogoutPage());
+    };
+}
+
+export default frontChannelLogoutHandler;
@@ -4,12 +4,19 @@
  */
 
 import { Request, Response, NextFunction, RequestHandler } from "express";
-import { ResponseMode } from "@azure/msal-common";
+import { CodeChallengeMethodValues, ResponseMode } from "@azure/msal-common";
 import { AuthorizationCodeRequest, AuthorizationUrlRequest } from "@azure/msal-node";
 import { WebAppAuthProvider } from "../../provider/WebAppAuthProvider";
-import { LoginOptions, AppState } from "../MiddlewareOptions";
+import { LoginOptions, AppState, PendingRequest } from "../MiddlewareOptions";
 import { UrlUtils } from "../../utils/UrlUtils";
-import { EMPTY_STRING } from "../../utils/Constants";
+import { HeaderUtils } from "../../utils/HeaderUtils";
+import {
+    ConfigurationErrorMessages,
+    EMPTY_STRING,
+    ErrorMessages,
+    HttpMethods,
+    RequestReplayConstants
+} from "../../utils/Constants";
 
 function loginHandler(
     this: WebAppAuthProvider, 
@@ -18,11 +25,29 @@ function loginHandler(
     return async (req: Request, res: Response, next: NextFunction): Promise<void> => {
         this.getLogger().trace("loginHandler called");
 
+        // B2C user flows are selected by the authority of the request
+        const authority = options.policy ? this.webAppAuthConfig.policies?.[options.policy] : undefined;
+
+        if (options.policy && !authority) {
+            return next(new Error(ConfigurationErrorMessages.NO_POLICY_CONFIGURED));
+        }
+
         const state: AppState = {
+            csrfToken: this.getCryptoProvider().createNewGuid(),
             redirectTo: options.postLoginRedirectUri || "/",
             customState: options.state
         };
 
+        // the nonce is echoed back in the ID token, binding it to this login request
+        const nonce = this.getCryptoProvider().createNewGuid();
+
+        /**
+         * PKCE is used by default to bind the authorization code to this session. For more information, visit:
+         * https://learn.microsoft.com/azure/active-directory/develop/v2-oauth2-auth-code-flow#request-an-authorization-code
+         */
+        const pkceCodes = this.getAuthConfig().security?.pkce !== false ?
+            await this.getCryptoProvider().generatePkceCodes() : undefined;
+
         const authUrlParams: AuthorizationUrlRequest = {
             state: this.getCryptoProvider().base64Encode(JSON.stringify(state)),
             redirectUri: UrlUtils.ensureAbsoluteUrl(
@@ -30,7 +55,11 @@ function loginHandler(
                 req.protocol,
                 req.get("host") || req.hostname
             ),
+            authority: authority,
             responseMode: ResponseMode.FORM_POST,
+            nonce: nonce,
+            codeChallenge: pkceCodes?.challenge,
+            codeChallengeMethod: pkceCodes ? CodeChallengeMethodValues.S256 : undefined,
             scopes: options.scopes || [],
             prompt: options.prompt || undefined,
             claims: options.claims || undefined,
@@ -46,14 +75,39 @@ function loginHandler(
             scopes: authUrlParams.scopes,
             state: authUrlParams.state,
             redirectUri: authUrlParams.redirectUri,
+            authority: authUrlParams.authority,
             claims: authUrlParams.claims,
+            codeVerifier: pkceCodes?.verifier,
             tokenBodyParameters: options.tokenBodyParameters,
             tokenQueryParameters: options.tokenQueryParameters,
             code: EMPTY_STRING,
         } as AuthorizationCodeRequest;
 
+        req.session.nonce = nonce;
+
+        const pendingRequest = getPendingRequest.call(this, req, state.redirectTo);
+
+        if (pendingRequest) {
+            req.session.pendingRequest = pendingRequest;
+        } else if (req.session.pendingRequest?.url !== state.redirectTo) {
+            // a submission is only replayed after the login that it has interrupted
+            delete req.session.pendingRequest;
+        }
+
         try {
             const response = await this.getMsalClient().getAuthCodeUrl(authUrlParams);
+
+            if (HeaderUtils.prefersJson(req)) {
+                // scripts cannot follow a redirect to the authorize endpoint, so the page is left to navigate to it
+                res.status(401).json({
+                    error: req.authContext.isAuthenticated() ? ErrorMessages.INTERACTION_REQUIRED : ErrorMessages.LOGIN_REQUIRED,
+                    login_url: response,
+                    scopes: authUrlParams.scopes,
+                    claims: authUrlParams.claims,
+                });
+                return;
+            }
+
             res.redirect(response);
         } catch (error) {
             next(error);
@@ -61,4 +115,43 @@ function loginHandler(
     };
 }
 
+/**
+ * Returns the form submission that a login interrupts, if it can be replayed once the user has signed in.
+ * Submissions from other sites are not kept, as replaying them would bypass the SameSite protection of the
+ * session cookie, and neither are submissions larger than the configured size
+ * @param {Request} req: Express request object
+ * @param {string} redirectTo: URL that the user returns to after the login
+ * @returns {PendingRequest | undefined}
+ */
+function getPendingRequest(this: WebAppAuthProvider, req: Request, redirectTo: string): PendingRequest | undefined {
+    const replayOptions = this.webAppAuthConfig.replayRequests;
+
+    if (!replayOptions
+        || req.method !== HttpMethods.POST
+        || req.originalUrl !== redirectTo
+        || !req.is(RequestReplayConstants.FORM_CONTENT_TYPE)
+        || HeaderUtils.prefersJson(req)
+        || !HeaderUtils.isSameOrigin(req)) {
+        return undefined;
+    }
+
+    const fields = Object.entries(req.body || {}).flatMap(([name, value]) => {
+        return (Array.isArray(value) ? value : [value]).map((fieldValue): [string, unknown] => [name, fieldValue]);
+    });
+
+    if (!fields.every((field): field is [string, string] => typeof field[1] === "string")) {
+        this.getLogger().warning("Form submission has nested fields and cannot be replayed after login");
+        return undefined;
+    }
+
+    const maxBodySize = replayOptions.maxBodySize ?? RequestReplayConstants.DEFAULT_MAX_BODY_SIZE;
+
+    if (Buffer.byteLength(new URLSearchParams(fields).toString()) > maxBodySize) {
+        this.getLogger().warning("Form submission is too large to be replayed after login");
+        return undefined;
+    }
+
+    return { method: req.method, url: req.originalUrl, fields };
+}
+
 export default loginHandler;
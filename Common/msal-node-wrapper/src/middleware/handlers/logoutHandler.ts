@@ -16,17 +16,26 @@ function logoutHandler(
         this.getLogger().trace("logoutHandler called");
 
         const shouldLogoutFromIdp = options.idpLogout ? options.idpLogout : true;
-        let logoutUri = options.postLogoutRedirectUri || "/";
+        const safeRedirectUri = UrlUtils.getSafeRedirectUri(
+            req,
+            options.postLogoutRedirectUri,
+            this.getAuthConfig().security?.allowedRedirects
+        );
+
+        if (options.postLogoutRedirectUri && safeRedirectUri !== options.postLogoutRedirectUri) {
+            this.getLogger().warning("Post-logout redirect URI is not allowed, redirecting to the fallback URI");
+        }
+
+        let logoutUri = safeRedirectUri;
 
         const account = req.authContext.getAccount();
 
         if (account) {
             try {
-                const tokenCache = this.getMsalClient().getTokenCache();
-                const cachedAccount = await tokenCache.getAccountByHomeId(account.homeAccountId);
+                await this.removeCachedAccount(account.homeAccountId);
 
-                if (cachedAccount) {
-                    await tokenCache.removeAccount(cachedAccount);
+                if (account.idTokenClaims) {
+                    await this.getSessionIndex()?.remove(req.sessionID, account.idTokenClaims);
                 }
             } catch (error) {
                 this.logger.error(`Error occurred while clearing cache for user: ${JSON.stringify(error)}`);
@@ -42,13 +51,13 @@ function logoutHandler(
              */
 
             const postLogoutRedirectUri = UrlUtils.ensureAbsoluteUrl(
-                options.postLogoutRedirectUri || "/",
+                safeRedirectUri,
                 req.protocol,
                 req.get("host") || req.hostname
             );
             
             // eslint-disable-next-line @typescript-eslint/no-non-null-assertion
-            logoutUri = `${UrlUtils.enforceTrailingSlash(this.getMsalConfig().auth.authority!)}/oauth2/v2.0/logout?post_logout_redirect_uri=${postLogoutRedirectUri}`;
+            logoutUri = `${UrlUtils.enforceTrailingSlash(this.getMsalConfig().auth.authority!)}oauth2/v2.0/logout?post_logout_redirect_uri=${postLogoutRedirectUri}`;
         }
 
         req.session.destroy(() => {
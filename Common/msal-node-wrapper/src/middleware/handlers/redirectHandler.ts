@@ -8,46 +8,104 @@ import { StringUtils } from "@azure/msal-common";
 import { AuthorizationCodePayload, AuthorizationCodeRequest } from "@azure/msal-node";
 import { WebAppAuthProvider } from "../../provider/WebAppAuthProvider";
 import { AppState } from "../MiddlewareOptions";
-import { ErrorMessages } from "../../utils/Constants";
+import { AuthResponseError } from "../../error/AuthResponseError";
+import { UrlUtils } from "../../utils/UrlUtils";
+import { HtmlUtils } from "../../utils/HtmlUtils";
+import { B2CPolicyNames, ErrorCodes, ErrorMessages, InfoMessages } from "../../utils/Constants";
+import loginHandler from "./loginHandler";
 
 function redirectHandler(this: WebAppAuthProvider): RequestHandler {
     return async (req: Request, res: Response, next: NextFunction): Promise<void> => {
         this.getLogger().trace("redirectHandler called");
 
-        if (!req.body || !req.body.code) {
+        // B2C responds with an error if the user selects the forgot password link of a sign-in policy
+        const isPasswordResetRequested = !!this.webAppAuthConfig.policies?.resetPassword
+            && typeof req.body?.error_description === "string"
+            && req.body.error_description.includes(ErrorCodes[90118]);
+
+        if (!req.body || (!req.body.code && !isPasswordResetRequested)) {
             return next(new Error(ErrorMessages.AUTH_CODE_RESPONSE_NOT_FOUND));
         }
 
+        const { tokenRequestParams, nonce } = req.session;
+
+        if (!tokenRequestParams || !tokenRequestParams.state) {
+            // no login request is pending in this session, e.g. the response is being replayed
+            return next(AuthResponseError.createStateNotFoundError());
+        }
+
+        // the request parameters, including the PKCE code verifier and nonce, can only be redeemed once
+        delete req.session.tokenRequestParams;
+        delete req.session.nonce;
+
+        if (req.body.state !== tokenRequestParams.state) {
+            return next(AuthResponseError.createCsrfTokenMismatchError());
+        }
+
+        const { redirectTo, customState } = StringUtils.jsonParseHelper(
+            this.getCryptoProvider().base64Decode(tokenRequestParams.state)
+        ) as AppState;
+
+        if (isPasswordResetRequested) {
+            this.getLogger().info(InfoMessages.PASSWORD_RESET_REQUESTED);
+
+            return loginHandler.call(this, {
+                policy: B2CPolicyNames.RESET_PASSWORD,
+                scopes: tokenRequestParams.scopes,
+                postLoginRedirectUri: redirectTo,
+                state: customState,
+            })(req, res, next);
+        }
+
         const tokenRequest = {
-            ...req.session.tokenRequestParams,
+            ...tokenRequestParams,
             code: req.body.code as string
         } as AuthorizationCodeRequest;
 
         try {
-            const msalInstance = this.getMsalClient();
+            // the client may be replaced while the code is redeemed, so the tokens are saved from the one that received them
+            const msalClient = this.getMsalClient();
 
-            if (req.session.tokenCache) {
-                msalInstance.getTokenCache().deserialize(req.session.tokenCache);
-            }
-
-            const tokenResponse = await msalInstance.acquireTokenByCode(
+            // MSAL rejects an ID token that does not carry the nonce of the login request, before caching any tokens
+            const tokenResponse = await msalClient.acquireTokenByCode(
                 tokenRequest,
-                req.body as AuthorizationCodePayload
+                { ...req.body, nonce } as AuthorizationCodePayload
             );
 
-            req.session.tokenCache = msalInstance.getTokenCache().serialize();
             // eslint-disable-next-line @typescript-eslint/no-non-null-assertion
-            req.session.account = tokenResponse.account!; // account will never be null in this grant type
+            const account = tokenResponse.account!; // account will never be null in this grant type
+
+            await this.saveCachePartition(account.homeAccountId, msalClient);
+
+            req.session.account = account;
             req.session.isAuthenticated = true;
+            delete req.session.resolvedGroups;
+
+            if (account.idTokenClaims) {
+                // logout tokens refer to the session at the identity provider or to the user, not to this session
+                await this.getSessionIndex()?.add(req.sessionID, account.idTokenClaims);
+            }
+
+            const safeRedirectUri = UrlUtils.getSafeRedirectUri(req, redirectTo, this.getAuthConfig().security?.allowedRedirects);
 
-            const { redirectTo } = req.body.state ?
-                StringUtils.jsonParseHelper(
-                    this.getCryptoProvider().base64Decode(req.body.state as string)
-                ) as AppState
-                :
-                { redirectTo: "/" };
+            if (safeRedirectUri !== redirectTo) {
+                this.getLogger().warning("Post-login redirect URI is not allowed, redirecting to the fallback URI");
+            }
+
+            const { pendingRequest } = req.session;
+            delete req.session.pendingRequest;
+
+            if (pendingRequest && pendingRequest.url === safeRedirectUri) {
+                // the form submission that the login interrupted is sent again from the browser
+                this.getLogger().info(InfoMessages.REPLAYING_REQUEST);
+
+                res.set("Cache-Control", "no-store")
+                    .type("html")
+                    .send(HtmlUtils.buildAutoSubmitPage(pendingRequest.url, pendingRequest.method, pendingRequest.fields));
+                return;
+            }
 
-            res.redirect(redirectTo);
+            res.redirect(safeRedirectUri);
         } catch (error) {
             next(error);
         }
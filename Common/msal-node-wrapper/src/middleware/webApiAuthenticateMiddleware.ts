@@ -0,0 +1,58 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+import { Request, Response, NextFunction, RequestHandler } from "express";
+import { WebApiAuthProvider } from "../provider/WebApiAuthProvider";
+import { WebApiAuthenticateMiddlewareOptions } from "./MiddlewareOptions";
+import { WebApiAuthContext, WebApiRequest } from "./context/WebApiAuthContext";
+import { TokenValidationError, TokenValidationErrorMessage } from "../error/TokenValidationError";
+import { AccessDeniedErrorMessage } from "../error/AccessDeniedError";
+import { HeaderUtils } from "../utils/HeaderUtils";
+import { TokenValidationConstants } from "../utils/Constants";
+
+function webApiAuthenticateMiddleware(
+    this: WebApiAuthProvider,
+    options: WebApiAuthenticateMiddlewareOptions
+): RequestHandler {
+    return async (req: Request, res: Response, next: NextFunction): Promise<void | Response> => {
+        this.getLogger().trace("webApiAuthenticateMiddleware called");
+
+        const apiRequest = req as unknown as WebApiRequest;
+        const accessToken = HeaderUtils.getBearerToken(req);
+
+        if (!accessToken) {
+            if (options.protectAllRoutes) {
+                return res.status(401)
+                    .set(TokenValidationConstants.WWW_AUTHENTICATE_HEADER, this.getBearerChallenge())
+                    .send(AccessDeniedErrorMessage.unauthorizedAccessError.desc);
+            }
+
+            apiRequest.authContext = new WebApiAuthContext(this);
+            return next();
+        }
+
+        try {
+            const tokenClaims = await this.getTokenValidator().validateAccessToken(accessToken);
+            apiRequest.authContext = new WebApiAuthContext(this, accessToken, tokenClaims);
+            next();
+        } catch (error) {
+            // the caller is not at fault if the signing keys cannot be obtained
+            if (error instanceof TokenValidationError && error.errorCode !== TokenValidationErrorMessage.keysNotObtained.code) {
+                this.getLogger().warning(`Access token rejected: ${error.errorMessage}`);
+
+                return res.status(401)
+                    .set(TokenValidationConstants.WWW_AUTHENTICATE_HEADER, this.getBearerChallenge({
+                        error: TokenValidationConstants.INVALID_TOKEN_ERROR,
+                        error_description: error.errorMessage,
+                    }))
+                    .send(AccessDeniedErrorMessage.unauthorizedAccessError.desc);
+            }
+
+            next(error);
+        }
+    };
+}
+
+export default webApiAuthenticateMiddleware;
@@ -0,0 +1,37 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+import { Request, Response, NextFunction, ErrorRequestHandler } from "express";
+import { WebApiAuthProvider } from "../provider/WebApiAuthProvider";
+import { InteractionRequiredError } from "../error/InteractionRequiredError";
+import { AccessDeniedErrorMessage } from "../error/AccessDeniedError";
+import { TokenValidationConstants } from "../utils/Constants";
+
+function webApiErrorMiddleware(this: WebApiAuthProvider): ErrorRequestHandler {
+    return (err: unknown, _req: Request, res: Response, next: NextFunction): Response | void => {
+        if (err instanceof InteractionRequiredError) {
+            /**
+             * A web API cannot interact with the user. Instead, the claims challenge is sent back
+             * so that the client can acquire a new token with the required claims. For more information, visit:
+             * https://learn.microsoft.com/azure/active-directory/develop/claims-challenge
+             */
+            const challenge = err.requestOptions.claims ? {
+                error: TokenValidationConstants.INSUFFICIENT_CLAIMS_ERROR,
+                claims: this.getCryptoProvider().base64Encode(err.requestOptions.claims),
+            } : {
+                error: err.errorCode,
+                error_description: err.errorMessage,
+            };
+
+            return res.status(401)
+                .set(TokenValidationConstants.WWW_AUTHENTICATE_HEADER, this.getBearerChallenge(challenge))
+                .send(AccessDeniedErrorMessage.unauthorizedAccessError.desc);
+        }
+
+        next(err);
+    };
+}
+
+export default webApiErrorMiddleware;
@@ -0,0 +1,64 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+import { Request, Response, NextFunction, RequestHandler } from "express";
+import { WebApiAuthProvider } from "../provider/WebApiAuthProvider";
+import { WebApiRouteGuardOptions } from "./MiddlewareOptions";
+import { WebApiRequest } from "./context/WebApiAuthContext";
+import { AccessDeniedErrorMessage } from "../error/AccessDeniedError";
+import { ErrorMessages, TokenValidationConstants } from "../utils/Constants";
+
+function webApiGuardMiddleware(
+    this: WebApiAuthProvider,
+    options: WebApiRouteGuardOptions
+): RequestHandler {
+    return (req: Request, res: Response, next: NextFunction): void | Response => {
+        const { authContext } = req as unknown as WebApiRequest;
+
+        if (!authContext || !authContext.isAuthenticated()) {
+            return res.status(401)
+                .set(TokenValidationConstants.WWW_AUTHENTICATE_HEADER, this.getBearerChallenge())
+                .send(AccessDeniedErrorMessage.unauthorizedAccessError.desc);
+        }
+
+        if (!options.scopes && !options.appRoles) {
+            return next();
+        }
+
+        /**
+         * Delegated calls must carry one of the required scopes in the scp claim, while
+         * app-only calls must carry one of the required app roles in the roles claim. For more information, visit:
+         * https://learn.microsoft.com/azure/active-directory/develop/scenario-protected-web-api-verification-scope-app-roles
+         */
+        if (authContext.isAppOnly()) {
+            const appRoles = authContext.getAppRoles();
+
+            if (!options.appRoles || !options.appRoles.some((appRole) => appRoles.includes(appRole))) {
+                return res.status(403)
+                    .set(TokenValidationConstants.WWW_AUTHENTICATE_HEADER, this.getBearerChallenge({
+                        error: TokenValidationConstants.INSUFFICIENT_SCOPE_ERROR,
+                        error_description: ErrorMessages.APP_ROLE_NOT_GRANTED,
+                    }))
+                    .send(AccessDeniedErrorMessage.forbiddenAccessError.desc);
+            }
+        } else {
+            const scopes = authContext.getScopes();
+
+            if (!options.scopes || !options.scopes.some((scope) => scopes.includes(scope))) {
+                return res.status(403)
+                    .set(TokenValidationConstants.WWW_AUTHENTICATE_HEADER, this.getBearerChallenge({
+                        error: TokenValidationConstants.INSUFFICIENT_SCOPE_ERROR,
+                        error_description: ErrorMessages.SCOPE_NOT_GRANTED,
+                        scope: options.scopes?.join(" "),
+                    }))
+                    .send(AccessDeniedErrorMessage.forbiddenAccessError.desc);
+            }
+        }
+
+        next();
+    };
+}
+
+export default webApiGuardMiddleware;
@@ -3,9 +3,11 @@
  * Licensed under the MIT License.
  */
 
-import axios, { AxiosResponse, AxiosRequestConfig } from "axios";
-import { StringUtils } from "@azure/msal-common";
-import { AccessControlConstants, ErrorMessages } from "../utils/Constants";
+import { JsonWebKey } from "crypto";
+import axios, { AxiosResponse, AxiosRequestConfig, isAxiosError } from "axios";
+import { AccessControlConstants, ErrorMessages, TokenValidationConstants } from "../utils/Constants";
+import { ClaimsChallengeError } from "../error/ClaimsChallengeError";
+import { UrlUtils } from "../utils/UrlUtils";
 
 export class FetchManager {
     /**
@@ -25,14 +27,15 @@ export class FetchManager {
 
     /**
      * Calls a resource endpoint with a raw access token
-     * using the authorization bearer token scheme
+     * using the authorization bearer token scheme. Throws a
+     * ClaimsChallengeError if the resource responds with a claims challenge
      * @param {string} endpoint: URL of the endpoint to be called
      * @param {string} accessToken: Raw access token
      * @returns {Promise<any>}
      */
     // eslint-disable-next-line @typescript-eslint/no-explicit-any
     static callApiEndpointWithToken = async (endpoint: string, accessToken: string): Promise<any> => {
-        if (StringUtils.isEmptyObj(accessToken)) {
+        if (!accessToken) {
             throw new Error(ErrorMessages.TOKEN_NOT_FOUND);
         }
 
@@ -46,18 +49,35 @@ export class FetchManager {
             const response = await FetchManager.callApiEndpoint(endpoint, options);
             return response.data;
         } catch (error) {
+            if (isAxiosError(error) && error.response?.status === 401) {
+                const claimsChallenge = ClaimsChallengeError.createFromHeader(
+                    error.response.headers[TokenValidationConstants.WWW_AUTHENTICATE_HEADER.toLowerCase()],
+                    endpoint
+                );
+
+                if (claimsChallenge) {
+                    throw claimsChallenge;
+                }
+            }
+
             throw error;
         }
     };
 
-    static async fetchCloudDiscoveryMetadata(tenantId: string): Promise<string> {
-        const endpoint = "https://login.microsoftonline.com/common/discovery/instance";
+    /**
+     * Fetches the cloud discovery metadata of a given authority from the instance discovery
+     * endpoint of its host, e.g. login.microsoftonline.us for the US Government cloud
+     * @param {string} authority: authority URL, including the tenant
+     * @returns {Promise<string>}
+     */
+    static async fetchCloudDiscoveryMetadata(authority: string): Promise<string> {
+        const endpoint = `${new URL(authority).origin}/common/discovery/instance`;
 
         try {
             const response = await FetchManager.callApiEndpoint(endpoint, {
                 params: {
                     "api-version": "1.1",
-                    "authorization_endpoint": `https://login.microsoftonline.com/${tenantId}/oauth2/v2.0/authorize`
+                    "authorization_endpoint": `${UrlUtils.enforceTrailingSlash(authority)}oauth2/v2.0/authorize`
                 }
             });
             const cloudDiscoveryMetadata = JSON.stringify(response.data);
@@ -67,13 +87,31 @@ export class FetchManager {
         }
     }
 
-    static async fetchAuthorityMetadata(tenantId: string): Promise<string> {
-        const endpoint = `https://login.microsoftonline.com/${tenantId}/v2.0/.well-known/openid-configuration`;
+    /**
+     * Fetches the OpenID configuration document of a given authority
+     * @param {string} authority: authority URL, including the tenant (and policy for B2C)
+     * @returns {Promise<string>}
+     */
+    static async fetchOpenIdConfiguration(authority: string): Promise<string> {
+        const endpoint = `${UrlUtils.enforceTrailingSlash(authority)}v2.0/.well-known/openid-configuration`;
 
         try {
             const response = await FetchManager.callApiEndpoint(endpoint);
-            const authorityMetadata = JSON.stringify(response.data);
-            return authorityMetadata;
+            return JSON.stringify(response.data);
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    /**
+     * Fetches the JSON web key set used to sign tokens
+     * @param {string} jwksUri: the jwks_uri from the authority metadata
+     * @returns {Promise<JsonWebKey[]>}
+     */
+    static async fetchSigningKeys(jwksUri: string): Promise<JsonWebKey[]> {
+        try {
+            const response = await FetchManager.callApiEndpoint(jwksUri);
+            return response.data.keys || [];
         } catch (error) {
             throw error;
         }
@@ -88,7 +126,7 @@ export class FetchManager {
      */
     static handlePagination = async (accessToken: string, nextPage: string, data: string[] = []): Promise<string[]> => {
         try {
-            const graphResponse = await (await FetchManager.callApiEndpointWithToken(nextPage, accessToken)).data;
+            const graphResponse = await FetchManager.callApiEndpointWithToken(nextPage, accessToken);
             // eslint-disable-next-line @typescript-eslint/no-explicit-any
             graphResponse["value"].map((v: any) => data.push(v.id));
 
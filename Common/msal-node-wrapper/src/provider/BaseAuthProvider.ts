@@ -4,8 +4,11 @@
  */
 
 import { Logger } from "@azure/msal-common";
-import { ConfidentialClientApplication, Configuration, CryptoProvider } from "@azure/msal-node";
+import { ConfidentialClientApplication, Configuration, CryptoProvider, ICacheClient, TokenCache } from "@azure/msal-node";
 import { AuthConfig } from "../config/ConfigurationTypes";
+import { ConfigurationHelper } from "../config/ConfigurationHelper";
+import { PartitionedTokenCache } from "../cache/PartitionedTokenCache";
+import { MetadataCache, MetadataCacheEntry } from "../cache/MetadataCache";
 import { DEFAULT_LOGGER_OPTIONS } from "../utils/Constants";
 import { packageName, packageVersion } from "../packageMetadata";
 
@@ -14,16 +17,68 @@ export abstract class BaseAuthProvider {
     protected msalConfig: Configuration;
     protected cryptoProvider: CryptoProvider;
     protected logger: Logger;
+    private cacheClient?: ICacheClient;
+    private msalClient?: ConfidentialClientApplication;
+    private partitionedTokenCaches: WeakMap<ConfidentialClientApplication, PartitionedTokenCache>;
+    private metadataCache?: MetadataCache;
 
-    protected constructor(authConfig: AuthConfig, msalConfig: Configuration) {
+    protected constructor(
+        authConfig: AuthConfig,
+        msalConfig: Configuration,
+        cacheClient?: ICacheClient,
+        metadataCache?: MetadataCache
+    ) {
         this.authConfig = authConfig;
         this.msalConfig = msalConfig;
+        this.metadataCache = metadataCache;
         this.cryptoProvider = new CryptoProvider();
-        this.logger = new Logger(
-            this.msalConfig.system?.loggerOptions || DEFAULT_LOGGER_OPTIONS,
-            packageName,
-            packageVersion
+        this.logger = BaseAuthProvider.createLogger(msalConfig);
+        this.partitionedTokenCaches = new WeakMap();
+
+        // a custom cache plugin takes over persistence of the cache entirely
+        if (!this.msalConfig.cache?.cachePlugin) {
+            this.cacheClient = authConfig.cache?.cacheClient || cacheClient;
+        }
+    }
+
+    /**
+     * Loads cloud discovery and authority metadata ahead of time from the host of the configured
+     * authority, or from the metadata file or cache store, so that MSAL does not have to request them again
+     * @param {AuthConfig} authConfig: configuration object
+     * @param {Configuration} msalConfig: MSAL configuration to populate
+     * @returns {Promise<MetadataCache | undefined>} cache to refresh the metadata with, unless the metadata is pinned
+     */
+    protected static async prefetchMetadata(authConfig: AuthConfig, msalConfig: Configuration): Promise<MetadataCache | undefined> {
+        if (msalConfig.auth.cloudDiscoveryMetadata || msalConfig.auth.authorityMetadata) {
+            return undefined;
+        }
+
+        // eslint-disable-next-line @typescript-eslint/no-non-null-assertion
+        const authority = msalConfig.auth.authority!;
+
+        // B2C metadata differs per policy, so it is left to MSAL
+        if (ConfigurationHelper.isB2CAuthority(authority)) {
+            return undefined;
+        }
+
+        const metadataCache = new MetadataCache(
+            authority,
+            msalConfig.auth.knownAuthorities,
+            authConfig.metadata,
+            BaseAuthProvider.createLogger(msalConfig)
         );
+        BaseAuthProvider.applyMetadata(msalConfig, await metadataCache.load());
+
+        return metadataCache;
+    }
+
+    private static createLogger(msalConfig: Configuration): Logger {
+        return new Logger(msalConfig.system?.loggerOptions || DEFAULT_LOGGER_OPTIONS, packageName, packageVersion);
+    }
+
+    private static applyMetadata(msalConfig: Configuration, metadata: MetadataCacheEntry): void {
+        msalConfig.auth.cloudDiscoveryMetadata = metadata.cloudDiscoveryMetadata;
+        msalConfig.auth.authorityMetadata = metadata.authorityMetadata;
     }
 
     getAuthConfig(): AuthConfig {
@@ -42,7 +97,100 @@ export abstract class BaseAuthProvider {
         return this.logger;
     }
 
+    /**
+     * Returns the MSAL client shared by all requests, so that configuration and metadata are
+     * only processed once. The client is created on first use, as web APIs that only validate
+     * tokens need no client credential, and created again once the metadata is refreshed
+     * @returns {ConfidentialClientApplication}
+     */
     getMsalClient(): ConfidentialClientApplication {
-        return new ConfidentialClientApplication(this.msalConfig);
+        this.refreshMetadataIfStale();
+
+        if (!this.msalClient) {
+            this.msalClient = new ConfidentialClientApplication(this.msalConfig);
+
+            if (this.cacheClient) {
+                this.partitionedTokenCaches.set(this.msalClient, new PartitionedTokenCache(
+                    this.msalClient.getTokenCache() as TokenCache,
+                    this.cacheClient
+                ));
+            }
+        }
+
+        return this.msalClient;
+    }
+
+    /**
+     * Called once refreshed metadata has been applied to the MSAL configuration,
+     * so that providers can pass it on to what they have created with it
+     */
+    protected onMetadataRefresh(): void {
+        // the MSAL client is created again on its next use
+    }
+
+    /**
+     * Refreshes stale metadata in the background. MSAL copies the configuration when the client is created,
+     * so the client is replaced, while requests in progress complete with the client they started with
+     */
+    protected refreshMetadataIfStale(): void {
+        if (!this.metadataCache?.isStale()) {
+            return;
+        }
+
+        this.getLogger().verbose("Authority metadata is stale, refreshing in the background");
+
+        this.metadataCache.refresh()
+            .then((metadata) => {
+                BaseAuthProvider.applyMetadata(this.msalConfig, metadata);
+                this.msalClient = undefined;
+                this.onMetadataRefresh();
+            })
+            .catch((error) => {
+                this.getLogger().error(`Error occurred while refreshing authority metadata, using the last-known-good metadata: ${JSON.stringify(error)}`);
+            });
+    }
+
+    /**
+     * Runs a callback against the MSAL client while the cache partition of the given user is loaded
+     * @param {string} homeAccountId: homeAccountId of the user
+     * @param {Function} callback: callback that uses the MSAL client
+     * @returns {Promise}
+     */
+    async runWithCachePartition<T>(
+        homeAccountId: string,
+        callback: (msalClient: ConfidentialClientApplication) => Promise<T>
+    ): Promise<T> {
+        const msalClient = this.getMsalClient();
+        const partitionedTokenCache = this.partitionedTokenCaches.get(msalClient);
+
+        if (!partitionedTokenCache) {
+            return callback(msalClient);
+        }
+
+        return partitionedTokenCache.run(homeAccountId, () => callback(msalClient));
+    }
+
+    /**
+     * Removes the account of a user and its tokens from the cache, e.g. when the user signs out
+     * @param {string} homeAccountId: homeAccountId of the user
+     */
+    async removeCachedAccount(homeAccountId: string): Promise<void> {
+        await this.runWithCachePartition(homeAccountId, async (msalClient) => {
+            const tokenCache = msalClient.getTokenCache();
+            const cachedAccount = await tokenCache.getAccountByHomeId(homeAccountId);
+
+            if (cachedAccount) {
+                await tokenCache.removeAccount(cachedAccount);
+            }
+        });
+    }
+
+    /**
+     * Writes the cache entities of a user that has just signed in to the cache partition of the user
+     * @param {string} homeAccountId: homeAccountId of the user
+     * @param {ConfidentialClientApplication} msalClient: MSAL client the user has signed in with
+     */
+    async saveCachePartition(homeAccountId: string, msalClient: ConfidentialClientApplication): Promise<void> {
+        await this.partitionedTokenCaches.get(msalClient)?.save(homeAccountId);
     }
 }
@@ -0,0 +1,133 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+import { AuthenticationResult, ClientCredentialRequest, Configuration } from "@azure/msal-node";
+import { BaseAuthProvider } from "./BaseAuthProvider";
+import { MetadataCache } from "../cache/MetadataCache";
+import { ConfigurationHelper } from "../config/ConfigurationHelper";
+import { FetchManager } from "../network/FetchManager";
+import { AuthConfig, AppType } from "../config/ConfigurationTypes";
+import { AppTokenRequestOptions } from "../middleware/MiddlewareOptions";
+import { AppTokenCacheConstants, ErrorMessages } from "../utils/Constants";
+
+export class DaemonAuthProvider extends BaseAuthProvider {
+    private appTokenCache: Map<string, AuthenticationResult>;
+    private pendingTokenRequests: Map<string, Promise<AuthenticationResult>>;
+
+    private constructor(authConfig: AuthConfig, msalConfig: Configuration, metadataCache?: MetadataCache) {
+        super(authConfig, msalConfig, undefined, metadataCache);
+        this.appTokenCache = new Map();
+        this.pendingTokenRequests = new Map();
+    }
+
+    /**
+     * Static method to async initialize DaemonAuthProvider
+     * @param {AuthConfig} authConfig: configuration object
+     * @returns {Promise<DaemonAuthProvider>}
+     */
+    static async initialize(authConfig: AuthConfig): Promise<DaemonAuthProvider> {
+        ConfigurationHelper.validateAuthConfig(authConfig, AppType.Daemon);
+
+        const msalConfig = ConfigurationHelper.getMsalConfiguration(authConfig);
+
+        const metadataCache = await BaseAuthProvider.prefetchMetadata(authConfig, msalConfig);
+
+        return new DaemonAuthProvider(authConfig, msalConfig, metadataCache);
+    }
+
+    /**
+     * Acquires an app-only access token using the client credentials grant. Tokens are served from
+     * the in-memory cache and renewed in the background shortly before they expire
+     * @param {AppTokenRequestOptions} options: options to modify token request
+     * @returns {Promise<AuthenticationResult>}
+     */
+    async acquireToken(options: AppTokenRequestOptions): Promise<AuthenticationResult> {
+        this.getLogger().trace("DaemonAuthProvider.acquireToken called");
+
+        const cacheKey = [...options.scopes].map((scope) => scope.toLowerCase()).sort().join(" ");
+        const cachedToken = this.appTokenCache.get(cacheKey);
+
+        if (cachedToken && !options.skipCache && !options.claims) {
+            const secondsToExpiry = DaemonAuthProvider.getSecondsToExpiry(cachedToken);
+
+            if (secondsToExpiry > AppTokenCacheConstants.EXPIRATION_OFFSET) {
+                if (secondsToExpiry <= AppTokenCacheConstants.REFRESH_OFFSET || DaemonAuthProvider.isPastRefreshOn(cachedToken)) {
+                    this.getLogger().verbose("Cached app token is about to expire, renewing in the background");
+
+                    this.requestToken(cacheKey, options).catch((error) => {
+                        this.getLogger().error(`Error occurred while renewing app token: ${JSON.stringify(error)}`);
+                    });
+                }
+
+                return cachedToken;
+            }
+        }
+
+        return this.requestToken(cacheKey, options);
+    }
+
+    /**
+     * Calls a protected resource endpoint with an app-only access token
+     * @param {string} endpoint: URL of the endpoint to be called
+     * @param {Array} scopes: scopes of the resource, e.g. https://graph.microsoft.com/.default
+     * @returns {Promise<any>}
+     */
+    // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    async callApi(endpoint: string, scopes: string[]): Promise<any> {
+        const tokenResponse = await this.acquireToken({ scopes });
+        return FetchManager.callApiEndpointWithToken(endpoint, tokenResponse.accessToken);
+    }
+
+    /**
+     * Requests a token from the authority and caches it. Concurrent requests
+     * for the same scopes share a single network call
+     * @param {string} cacheKey: key of the token in the app token cache
+     * @param {AppTokenRequestOptions} options: options to modify token request
+     * @returns {Promise<AuthenticationResult>}
+     */
+    private requestToken(cacheKey: string, options: AppTokenRequestOptions): Promise<AuthenticationResult> {
+        const pendingRequest = this.pendingTokenRequests.get(cacheKey);
+
+        if (pendingRequest && !options.claims) {
+            return pendingRequest;
+        }
+
+        const tokenRequest: ClientCredentialRequest = {
+            scopes: options.scopes,
+            claims: options.claims,
+            tokenQueryParameters: options.tokenQueryParameters,
+            skipCache: options.skipCache,
+        };
+
+        const request = this.getMsalClient().acquireTokenByClientCredential(tokenRequest)
+            .then((tokenResponse) => {
+                if (!tokenResponse) {
+                    throw new Error(ErrorMessages.TOKEN_RESPONSE_NULL);
+                }
+
+                this.appTokenCache.set(cacheKey, tokenResponse);
+                return tokenResponse;
+            })
+            .finally(() => {
+                this.pendingTokenRequests.delete(cacheKey);
+            });
+
+        this.pendingTokenRequests.set(cacheKey, request);
+
+        return request;
+    }
+
+    private static getSecondsToExpiry(tokenResponse: AuthenticationResult): number {
+        if (!tokenResponse.expiresOn) {
+            return 0;
+        }
+
+        return (new Date(tokenResponse.expiresOn).getTime() - Date.now()) / 1000;
+    }
+
+    private static isPastRefreshOn(tokenResponse: AuthenticationResult): boolean {
+        return !!tokenResponse.refreshOn && new Date(tokenResponse.refreshOn).getTime() <= Date.now();
+    }
+}
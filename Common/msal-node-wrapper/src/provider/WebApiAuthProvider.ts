@@ -0,0 +1,122 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+import { ErrorRequestHandler, RequestHandler } from "express";
+import { Configuration } from "@azure/msal-node";
+import { BaseAuthProvider } from "./BaseAuthProvider";
+import { MetadataCache } from "../cache/MetadataCache";
+import { InMemoryCacheClient } from "../cache/InMemoryCacheClient";
+import { ConfigurationHelper } from "../config/ConfigurationHelper";
+import { FetchManager } from "../network/FetchManager";
+import { AuthConfig, WebApiAuthConfig, AppType } from "../config/ConfigurationTypes";
+import { WebApiAuthenticateMiddlewareOptions, WebApiRouteGuardOptions } from "../middleware/MiddlewareOptions";
+import { TokenValidator } from "../crypto/TokenValidator";
+import { HeaderUtils } from "../utils/HeaderUtils";
+import { UrlUtils } from "../utils/UrlUtils";
+import { OnBehalfOfTokenCacheConstants } from "../utils/Constants";
+import webApiAuthenticateMiddleware from "../middleware/webApiAuthenticateMiddleware";
+import webApiGuardMiddleware from "../middleware/webApiGuardMiddleware";
+import webApiErrorMiddleware from "../middleware/webApiErrorMiddleware";
+
+export class WebApiAuthProvider extends BaseAuthProvider {
+    webApiAuthConfig: WebApiAuthConfig;
+    private tokenValidator: TokenValidator;
+
+    private constructor(
+        authConfig: AuthConfig,
+        msalConfig: Configuration,
+        authorityMetadata: string,
+        metadataCache?: MetadataCache
+    ) {
+        // on-behalf-of tokens are kept in a store partitioned by user, until the tokens they were exchanged for expire
+        super(authConfig, msalConfig, new InMemoryCacheClient(OnBehalfOfTokenCacheConstants.PARTITION_TTL), metadataCache);
+        this.webApiAuthConfig = authConfig as WebApiAuthConfig;
+
+        this.tokenValidator = new TokenValidator({
+            clientId: this.webApiAuthConfig.auth.clientId,
+            audience: this.webApiAuthConfig.auth.audience,
+            validIssuers: this.webApiAuthConfig.auth.validIssuers,
+            clockSkew: this.webApiAuthConfig.auth.clockSkew,
+            authorityMetadata: authorityMetadata,
+        }, this.logger);
+    }
+
+    /**
+     * Static method to async initialize WebApiAuthProvider
+     * @param {AuthConfig} authConfig: configuration object
+     * @returns {Promise<WebApiAuthProvider>}
+     */
+    static async initialize(authConfig: AuthConfig): Promise<WebApiAuthProvider> {
+        ConfigurationHelper.validateAuthConfig(authConfig, AppType.WebApi);
+
+        const msalConfig = ConfigurationHelper.getMsalConfiguration(authConfig);
+
+        const metadataCache = await BaseAuthProvider.prefetchMetadata(authConfig, msalConfig);
+
+        // B2C metadata is not prefetched, but it is needed here to locate the signing keys
+        const authorityMetadata = msalConfig.auth.authorityMetadata ||
+            // eslint-disable-next-line @typescript-eslint/no-non-null-assertion
+            await FetchManager.fetchOpenIdConfiguration(msalConfig.auth.authority!);
+
+        return new WebApiAuthProvider(authConfig, msalConfig, authorityMetadata, metadataCache);
+    }
+
+    /**
+     * Validates the bearer token on incoming requests and sets the request context
+     * @param {WebApiAuthenticateMiddlewareOptions} options: options to modify middleware behavior
+     * @returns {RequestHandler}
+     */
+    authenticate(options: WebApiAuthenticateMiddlewareOptions = {
+        protectAllRoutes: true,
+    }): RequestHandler {
+        return webApiAuthenticateMiddleware.call(this, options);
+    }
+
+    /**
+     * Guards a specified route, requiring the caller to have one of the given
+     * scopes (delegated calls) or app roles (app-only calls)
+     * @param {WebApiRouteGuardOptions} options: options to modify middleware behavior
+     * @returns {RequestHandler}
+     */
+    guard(options: WebApiRouteGuardOptions = {}): RequestHandler {
+        return webApiGuardMiddleware.call(this, options);
+    }
+
+    /**
+     * Middleware to handle interaction required errors by sending
+     * a claims challenge back to the client
+     * @returns {ErrorRequestHandler}
+     */
+    interactionErrorHandler(): ErrorRequestHandler {
+        return webApiErrorMiddleware.call(this);
+    }
+
+    protected onMetadataRefresh(): void {
+        super.onMetadataRefresh();
+
+        // eslint-disable-next-line @typescript-eslint/no-non-null-assertion
+        this.tokenValidator.setAuthorityMetadata(this.msalConfig.auth.authorityMetadata!);
+    }
+
+    getTokenValidator(): TokenValidator {
+        this.refreshMetadataIfStale();
+
+        return this.tokenValidator;
+    }
+
+    /**
+     * Returns a bearer challenge for the WWW-Authenticate header of 401 and 403 responses
+     * @param {Record} params: additional auth-params, such as error and error_description
+     * @returns {string}
+     */
+    getBearerChallenge(params: Record<string, string | undefined> = {}): string {
+        return HeaderUtils.buildBearerChallenge({
+            // eslint-disable-next-line @typescript-eslint/no-non-null-assertion
+            authorization_uri: `${UrlUtils.enforceTrailingSlash(this.msalConfig.auth.authority!)}oauth2/v2.0/authorize`,
+            client_id: this.msalConfig.auth.clientId,
+            ...params,
+        });
+    }
+}
@@ -4,22 +4,46 @@
  */
 
 import { ErrorRequestHandler, RequestHandler } from "express";
-import { Configuration } from "@azure/msal-node";
+import { AccountInfo, Configuration } from "@azure/msal-node";
 import { BaseAuthProvider } from "./BaseAuthProvider";
-import { ConfigurationHelper } from "../config/ConfigurationHelper";
+import { MetadataCache } from "../cache/MetadataCache";
+import { SessionIndex } from "../cache/SessionIndex";
+import { TokenValidator } from "../crypto/TokenValidator";
 import { FetchManager } from "../network/FetchManager";
+import { ConfigurationHelper } from "../config/ConfigurationHelper";
 import { AuthConfig, WebAppAuthConfig, AppType } from "../config/ConfigurationTypes";
-import { AuthenticateMiddlewareOptions, RouteGuardOptions } from "../middleware/MiddlewareOptions";
+import {
+    AccessDeniedHandlerOptions,
+    AuthenticateMiddlewareOptions,
+    LogoutTokenClaims,
+    RouteGuardOptions
+} from "../middleware/MiddlewareOptions";
+import { InMemoryCacheClient } from "../cache/InMemoryCacheClient";
+import { SessionConstants, TokenValidationConstants } from "../utils/Constants";
 import authenticateMiddleware from "../middleware/authenticateMiddleware";
 import guardMiddleware from "../middleware/guardMiddleware";
+import accessControlMiddleware from "../middleware/accessControlMiddleware";
 import errorMiddleware from "../middleware/errorMiddleware";
+import accessDeniedMiddleware from "../middleware/accessDeniedMiddleware";
 
 export class WebAppAuthProvider extends BaseAuthProvider {
     webAppAuthConfig: WebAppAuthConfig;
+    private sessionIndex?: SessionIndex;
+    private logoutTokenValidator?: Promise<TokenValidator>;
+
+    private constructor(authConfig: AuthConfig, msalConfig: Configuration, metadataCache?: MetadataCache) {
+        const sessionLifetime = (authConfig as WebAppAuthConfig).sessionLifetime || SessionConstants.DEFAULT_LIFETIME;
 
-    private constructor(authConfig: AuthConfig, msalConfig: Configuration) {
-        super(authConfig, msalConfig);
+        // user tokens are kept out of the session, in a store partitioned by account that forgets them with the session
+        super(authConfig, msalConfig, new InMemoryCacheClient(sessionLifetime), metadataCache);
         this.webAppAuthConfig = authConfig as WebAppAuthConfig;
+
+        if (this.webAppAuthConfig.auth.backChannelLogoutUri) {
+            this.sessionIndex = new SessionIndex(
+                this.webAppAuthConfig.sessionIndexClient || new InMemoryCacheClient(sessionLifetime),
+                sessionLifetime
+            );
+        }
     }
 
     /**
@@ -32,24 +56,9 @@ export class WebAppAuthProvider extends BaseAuthProvider {
 
         const msalConfig = ConfigurationHelper.getMsalConfiguration(authConfig);
 
-        if (!msalConfig.auth.cloudDiscoveryMetadata && !msalConfig.auth.authorityMetadata) {
-            const isB2C = authConfig.auth.authority && ConfigurationHelper.isB2CAuthority(authConfig.auth.authority);
-
-            if (!isB2C) {
-                const tenantId = authConfig.auth.authority ?
-                    ConfigurationHelper.getTenantIdFromAuthority(authConfig.auth.authority) : "common";
+        const metadataCache = await BaseAuthProvider.prefetchMetadata(authConfig, msalConfig);
 
-                const [discoveryMetadata, authorityMetadata] = await Promise.all([
-                    FetchManager.fetchCloudDiscoveryMetadata(tenantId),
-                    FetchManager.fetchAuthorityMetadata(tenantId),
-                ]);
-
-                msalConfig.auth.cloudDiscoveryMetadata = discoveryMetadata;
-                msalConfig.auth.authorityMetadata = authorityMetadata;
-            }
-        }
-
-        return new WebAppAuthProvider(authConfig, msalConfig);
+        return new WebAppAuthProvider(authConfig, msalConfig, metadataCache);
     }
 
     /**
@@ -74,6 +83,14 @@ export class WebAppAuthProvider extends BaseAuthProvider {
         return guardMiddleware.call(this, options);
     }
 
+    /**
+     * Controls access to routes and their methods with the access matrix in the configuration
+     * @returns {RequestHandler}
+     */
+    accessControl(): RequestHandler {
+        return accessControlMiddleware.call(this);
+    }
+
     /**
      * Middleware to handle interaction required errors
      * @returns {ErrorRequestHandler}
@@ -81,4 +98,76 @@ export class WebAppAuthProvider extends BaseAuthProvider {
     interactionErrorHandler(): ErrorRequestHandler {
         return errorMiddleware.call(this);
     }
+
+    /**
+     * Middleware to handle access denied errors, responding with 401 or 403 and the requirement
+     * that is not satisfied, as JSON to scripts and with the given view to browsers
+     * @param {AccessDeniedHandlerOptions} options: options to modify middleware behavior
+     * @returns {ErrorRequestHandler}
+     */
+    accessDeniedHandler(options: AccessDeniedHandlerOptions = {}): ErrorRequestHandler {
+        return accessDeniedMiddleware.call(this, options);
+    }
+
+    /**
+     * Returns the issuer of the ID tokens of a signed-in user, resolving
+     * the tenant placeholder in the issuer of multi-tenant authorities
+     * @param {AccountInfo} account: signed-in user
+     * @returns {string | undefined}
+     */
+    getIssuer(account: AccountInfo): string | undefined {
+        const { authorityMetadata } = this.msalConfig.auth;
+
+        if (!authorityMetadata) {
+            // B2C metadata is not prefetched, so the issuer of the user's ID token is the best available
+            return account.idTokenClaims?.iss;
+        }
+
+        const { issuer } = JSON.parse(authorityMetadata) as { issuer: string };
+
+        return issuer.replace(TokenValidationConstants.TENANT_ID_PLACEHOLDER, account.tenantId);
+    }
+
+    /**
+     * Returns the index of the sessions of each user, if back-channel logout is enabled
+     * @returns {SessionIndex | undefined}
+     */
+    getSessionIndex(): SessionIndex | undefined {
+        return this.sessionIndex;
+    }
+
+    protected onMetadataRefresh(): void {
+        super.onMetadataRefresh();
+
+        this.logoutTokenValidator?.then((tokenValidator) => {
+            // eslint-disable-next-line @typescript-eslint/no-non-null-assertion
+            tokenValidator.setAuthorityMetadata(this.msalConfig.auth.authorityMetadata!);
+        }).catch(() => undefined);
+    }
+
+    /**
+     * Validates a logout token posted to the back-channel logout route
+     * @param {string} logoutToken: raw JWT logout token
+     * @returns {Promise<LogoutTokenClaims>}
+     */
+    async validateLogoutToken(logoutToken: string): Promise<LogoutTokenClaims> {
+        if (!this.logoutTokenValidator) {
+            // the validator is created on first use, as B2C metadata is not prefetched
+            this.logoutTokenValidator = (async () => new TokenValidator({
+                clientId: this.webAppAuthConfig.auth.clientId,
+                authorityMetadata: this.msalConfig.auth.authorityMetadata ||
+                    // eslint-disable-next-line @typescript-eslint/no-non-null-assertion
+                    await FetchManager.fetchOpenIdConfiguration(this.msalConfig.auth.authority!),
+            }, this.logger))();
+
+            // allow a later request to try again if the metadata cannot be fetched
+            this.logoutTokenValidator.catch(() => {
+                this.logoutTokenValidator = undefined;
+            });
+        }
+
+        const tokenValidator = await this.logoutTokenValidator;
+
+        return tokenValidator.validateLogoutToken(logoutToken);
+    }
 }
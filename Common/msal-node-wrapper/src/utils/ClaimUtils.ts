@@ -0,0 +1,112 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+import { ClaimCondition, ClaimValue, IdTokenClaims, RequiredClaims } from "../middleware/MiddlewareOptions";
+import { AccessControlConstants } from "./Constants";
+
+export class ClaimUtils {
+    /**
+     * Returns the required claims that the token claims do not satisfy
+     * @param {IdTokenClaims} tokenClaims: claims in the token
+     * @param {RequiredClaims} requiredClaims: required claims, keyed by claim name
+     * @returns {RequiredClaims}
+     */
+    static getUnmatchedClaims = (tokenClaims: IdTokenClaims, requiredClaims: RequiredClaims): RequiredClaims => {
+        return Object.fromEntries(
+            Object.entries(requiredClaims)
+                .filter(([claim, requiredClaim]) => !ClaimUtils.matchesRequiredClaim(tokenClaims[claim], requiredClaim))
+        );
+    };
+
+    /**
+     * Checks if the value of a claim satisfies a required claim. Arrays require any of their values, while
+     * conditions can combine the anyOf, allOf, noneOf operators, numeric comparisons and a maximum age
+     * @param {unknown} tokenClaim: value of the claim in the token
+     * @param {ClaimValue | ClaimValue[] | ClaimCondition} requiredClaim: required value or condition
+     * @returns {boolean}
+     */
+    static matchesRequiredClaim = (tokenClaim: unknown, requiredClaim: ClaimValue | ClaimValue[] | ClaimCondition): boolean => {
+        if (Array.isArray(requiredClaim)) {
+            return ClaimUtils.matchesCondition(tokenClaim, { anyOf: requiredClaim });
+        }
+
+        switch (typeof requiredClaim) {
+            case "string":
+            case "number":
+            case "boolean":
+                return ClaimUtils.matchesCondition(tokenClaim, { anyOf: [requiredClaim] });
+
+            case "object":
+                return ClaimUtils.matchesCondition(tokenClaim, requiredClaim);
+
+            default:
+                return false;
+        }
+    };
+
+    /**
+     * Checks if the value of a claim satisfies every operator of a given condition
+     * @param {unknown} tokenClaim: value of the claim in the token
+     * @param {ClaimCondition} condition: condition to satisfy
+     * @returns {boolean}
+     */
+    static matchesCondition = (tokenClaim: unknown, condition: ClaimCondition): boolean => {
+        if (tokenClaim === undefined || tokenClaim === null) {
+            // only a condition that excludes values is satisfied by a missing claim
+            return Object.keys(condition).length > 0 &&
+                Object.keys(condition).every((operator) => operator === "noneOf");
+        }
+
+        const tokenValues = Array.isArray(tokenClaim) ? tokenClaim : [tokenClaim];
+
+        if (condition.anyOf && !condition.anyOf.some((value) => tokenValues.includes(value))) {
+            return false;
+        }
+
+        if (condition.allOf && !condition.allOf.every((value) => tokenValues.includes(value))) {
+            return false;
+        }
+
+        if (condition.noneOf && condition.noneOf.some((value) => tokenValues.includes(value))) {
+            return false;
+        }
+
+        const hasNumericOperator = [condition.gt, condition.gte, condition.lt, condition.lte, condition.maxAge]
+            .some((operand) => operand !== undefined);
+
+        if (!hasNumericOperator) {
+            return true;
+        }
+
+        if (typeof tokenClaim !== "number") {
+            return false;
+        }
+
+        return (condition.gt === undefined || tokenClaim > condition.gt) &&
+            (condition.gte === undefined || tokenClaim >= condition.gte) &&
+            (condition.lt === undefined || tokenClaim < condition.lt) &&
+            (condition.lte === undefined || tokenClaim <= condition.lte) &&
+            // timestamp claims such as auth_time and iat are in seconds since the epoch
+            (condition.maxAge === undefined || Date.now() / 1000 - tokenClaim <= condition.maxAge);
+    };
+
+    /**
+     * Returns the claims request parameter asking for an ID token that satisfies a given
+     * Conditional Access authentication context. For more information, visit:
+     * https://learn.microsoft.com/azure/active-directory/develop/developer-guide-conditional-access-authentication-context
+     * @param {string} authContextId: ID of the authentication context, e.g. c1
+     * @returns {string}
+     */
+    static getAuthContextClaimsRequest = (authContextId: string): string => {
+        return JSON.stringify({
+            id_token: {
+                [AccessControlConstants.AUTH_CONTEXT_CLAIM]: {
+                    essential: true,
+                    value: authContextId,
+                },
+            },
+        });
+    };
+}
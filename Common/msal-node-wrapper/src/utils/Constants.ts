@@ -24,19 +24,137 @@ export const AADAuthorityConstants = {
     CONSUMERS: "consumers",
 };
 
+export const CIAM_AUTHORITY_HOST_SUFFIX = ".ciamlogin.com";
+
 export const OIDC_SCOPES = [...OIDC_DEFAULT_SCOPES, "email"];
 
+/**
+ * Names of the B2C policies the wrapper starts on its own
+ */
+export const B2CPolicyNames = {
+    SIGN_UP_SIGN_IN: "signUpSignIn",
+    RESET_PASSWORD: "resetPassword",
+    EDIT_PROFILE: "editProfile",
+};
+
 /**
  * Constants used in access control scenarios
  */
 export const AccessControlConstants = {
     GROUPS: "groups",
     ROLES: "roles",
-    CLAIM_NAMES: "_claim_name",
+    CLAIM_NAMES: "_claim_names",
     CLAIM_SOURCES: "_claim_sources",
     PAGINATION_LINK: "@odata.nextLink",
     GRAPH_MEMBERS_ENDPOINT: "https://graph.microsoft.com/v1.0/me/memberOf",
     GRAPH_MEMBER_SCOPES: "User.Read GroupMember.Read.All",
+    GROUPS_CACHE_TTL: 3600, // seconds
+    AUTH_CONTEXT_CLAIM: "acrs",
+};
+
+/**
+ * Constants used when validating access tokens in web APIs
+ */
+export const TokenValidationConstants = {
+    BEARER_SCHEME: "Bearer",
+    APP_ONLY_TOKEN_TYPE: "app",
+    INVALID_TOKEN_ERROR: "invalid_token",
+    INSUFFICIENT_SCOPE_ERROR: "insufficient_scope",
+    INSUFFICIENT_CLAIMS_ERROR: "insufficient_claims",
+    AUTHORIZATION_HEADER: "Authorization",
+    WWW_AUTHENTICATE_HEADER: "WWW-Authenticate",
+    API_AUDIENCE_PREFIX: "api://",
+    V1_ISSUER_PREFIX: "https://sts.windows.net/",
+    TENANT_ID_PLACEHOLDER: "{tenantid}",
+    DEFAULT_CLOCK_SKEW: 300, // in seconds
+    KEYS_REFRESH_INTERVAL: 300, // in seconds
+};
+
+/**
+ * Constants used when handling claims challenges. For more information, visit:
+ * https://learn.microsoft.com/azure/active-directory/develop/claims-challenge
+ */
+export const ClaimsChallengeConstants = {
+    CAE_CLIENT_CAPABILITY: "CP1", // declares that the app can handle claims challenges
+    DEFAULT_RESOURCE: "https://graph.microsoft.com", // resource of scopes without a resource URI, e.g. User.Read
+    CLAIMS_PARAM: "claims",
+    ERROR_PARAM: "error",
+};
+
+/**
+ * Constants used when replaying form submissions that were interrupted by a login
+ */
+export const RequestReplayConstants = {
+    DEFAULT_MAX_BODY_SIZE: 16384, // in bytes
+    FORM_CONTENT_TYPE: "application/x-www-form-urlencoded",
+};
+
+/**
+ * Fetch metadata request headers, which browsers send to tell navigations apart from requests of scripts. For more information, visit:
+ * https://www.w3.org/TR/fetch-metadata/
+ */
+export const FetchMetadataConstants = {
+    MODE_HEADER: "Sec-Fetch-Mode",
+    DEST_HEADER: "Sec-Fetch-Dest",
+    NAVIGATE_MODE: "navigate",
+    EMPTY_DEST: "empty", // fetch() and XMLHttpRequest
+};
+
+/**
+ * Constants used to keep data of sessions outside of the session store
+ */
+export const SessionConstants = {
+    DEFAULT_LIFETIME: 86400, // in seconds
+};
+
+/**
+ * Constants used in front-channel logout
+ */
+export const FrontChannelLogoutConstants = {
+    LOGOUT_PAGE: "<!DOCTYPE html><html><head><title>Signed out</title></head><body></body></html>",
+};
+
+/**
+ * Constants used in back-channel logout. For more information, visit:
+ * https://openid.net/specs/openid-connect-backchannel-1_0.html
+ */
+export const BackChannelLogoutConstants = {
+    LOGOUT_TOKEN_PARAM: "logout_token",
+    LOGOUT_EVENT: "http://schemas.openid.net/event/backchannel-logout",
+    SESSION_INDEX_KEY_PREFIX: "session-index-",
+};
+
+/**
+ * Signature algorithms accepted for access tokens, mapped to their Node crypto names
+ */
+export const JwtSigningAlgorithms: Record<string, string> = {
+    RS256: "RSA-SHA256",
+    RS384: "RSA-SHA384",
+    RS512: "RSA-SHA512",
+};
+
+/**
+ * Constants used when caching app-only tokens
+ */
+export const AppTokenCacheConstants = {
+    REFRESH_OFFSET: 300, // in seconds, tokens are renewed in the background within this window before expiry
+    EXPIRATION_OFFSET: 60, // in seconds, tokens are not served within this window before expiry
+};
+
+/**
+ * Constants used when caching on-behalf-of tokens
+ */
+export const OnBehalfOfTokenCacheConstants = {
+    PARTITION_TTL: 5400, // in seconds, the longest lifetime of the access tokens exchanged for them
+};
+
+/**
+ * Constants used when caching authority metadata
+ */
+export const MetadataCacheConstants = {
+    CACHE_KEY_PREFIX: "metadata-",
+    DEFAULT_REFRESH_INTERVAL: 86400, // in seconds, as long as MSAL caches metadata from the network
+    RETRY_INTERVAL: 300, // in seconds, failed refreshes are not retried within this window
 };
 
 /**
@@ -45,6 +163,10 @@ export const AccessControlConstants = {
 export const InfoMessages = {
     REQUEST_FOR_RESOURCE: "Request made to web API",
     OVERAGE_OCCURRED: "User has too many groups. Groups overage claim occurred",
+    AUTH_CONTEXT_STEP_UP: "Required authentication context not satisfied. Stepping up authentication",
+    CLAIMS_CHALLENGE_RECEIVED: "Claims challenge received from resource. Claims will be requested with the next token",
+    PASSWORD_RESET_REQUESTED: "User has forgotten their password. Starting the password reset policy",
+    REPLAYING_REQUEST: "User has signed in. Replaying the form submission that was interrupted by the login",
 };
 
 /**
@@ -57,10 +179,13 @@ export const ErrorMessages = {
     CANNOT_VALIDATE_TOKEN: "Cannot validate token",
     CSRF_TOKEN_MISMATCH: "CSRF token in response does not match to original request",
     INTERACTION_REQUIRED: "interaction_required",
+    LOGIN_REQUIRED: "login_required",
     TOKEN_ACQUISITION_FAILED: "Token acquisition failed",
     TOKEN_RESPONSE_NULL: "Token response is null",
     AUTH_CODE_URL_NOT_OBTAINED: "Authorization code url cannot be obtained",
     TOKEN_NOT_FOUND: "No token found",
+    NO_TOKEN_TO_EXCHANGE: "No access token found in the request to exchange on behalf of the user",
+    NO_USER_CLAIM_TO_PARTITION: "Access token has neither an oid nor a sub claim, its on-behalf-of tokens are not cached",
     TOKEN_NOT_DECODED: "Token cannot be decoded",
     TOKEN_NOT_VERIFIED: "Token cannot be verified",
     KEYS_NOT_OBTAINED: "Signing keys cannot be obtained",
@@ -69,6 +194,9 @@ export const ErrorMessages = {
     USER_NOT_IN_ROLE: "User does not have this role",
     USER_HAS_NO_GROUP: "User does not have any groups",
     USER_NOT_IN_GROUP: "User does not have this group",
+    SCOPE_NOT_GRANTED: "Token does not have any of the required scopes",
+    APP_ROLE_NOT_GRANTED: "Application does not have any of the required app roles",
+    AUTH_CONTEXT_NOT_SATISFIED: "Required authentication context not satisfied after stepping up authentication",
     METHOD_NOT_ALLOWED: "Method not allowed for this route",
     RULE_NOT_FOUND: "No rule found for this route",
     SESSION_NOT_FOUND: "No session found for this request",
@@ -78,6 +206,7 @@ export const ErrorMessages = {
     AUTH_CODE_REQUEST_OBJECT_NOT_FOUND: "No auth code request object found in session",
     ID_TOKEN_CLAIMS_NOT_FOUND: "No id token claims found in session",
     AUTH_CODE_RESPONSE_NOT_FOUND: "No authorization code found in the response from service",
+    CLAIMS_CHALLENGE: "The resource requires additional claims in the access token",
 };
 
 /**
@@ -86,7 +215,9 @@ export const ErrorMessages = {
 export const ConfigurationErrorMessages = {
     AUTH_ROUTES_NOT_CONFIGURED: "Authentication routes are not defined. Ensure that the application settings are configured properly.",
     NO_PROTECTED_RESOURCE_CONFIGURED: "No protected resource is configured to acquire a token for. Ensure that the application settings are configured properly.",
+    NO_POLICY_CONFIGURED: "No B2C policy is configured with this name. Ensure that the application settings are configured properly.",
     NO_ACCESS_MATRIX_CONFIGURED: "No access matrix is configured to control access for. Ensure that the application settings are configured properly.",
+    INVALID_METADATA_FILE: "No authority metadata found in the metadata file. Ensure that the application settings are configured properly.",
     NO_CLIENT_ID: "No clientId provided!",
     INVALID_CLIENT_ID: "Invalid clientId!",
     NO_TENANT_INFO: "No tenant info provided!",
@@ -128,6 +259,7 @@ export const DEFAULT_LOGGER_OPTIONS: LoggerOptions = {
 
 export const HttpMethods = {
     GET: "GET",
+    HEAD: "HEAD",
     POST: "POST",
     PUT: "PUT",
     PATCH: "PATCH",
@@ -0,0 +1,113 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+import { Request } from "express";
+import { ClaimsChallengeConstants, FetchMetadataConstants, TokenValidationConstants } from "./Constants";
+
+export class HeaderUtils {
+    /**
+     * Returns the bearer token from the authorization header of a given request, if any
+     * @param {Request} req: Express request object
+     * @returns {string | null}
+     */
+    static getBearerToken = (req: Request): string | null => {
+        const authHeader = req.get(TokenValidationConstants.AUTHORIZATION_HEADER);
+
+        if (!authHeader) {
+            return null;
+        }
+
+        const [scheme, token] = authHeader.trim().split(/\s+/);
+
+        if (scheme.toLowerCase() !== TokenValidationConstants.BEARER_SCHEME.toLowerCase() || !token) {
+            return null;
+        }
+
+        return token;
+    };
+
+    /**
+     * Builds a bearer challenge for the WWW-Authenticate header. For more information, visit:
+     * https://www.rfc-editor.org/rfc/rfc6750#section-3
+     * @param {Record} params: auth-params to include in the challenge
+     * @returns {string}
+     */
+    static buildBearerChallenge = (params: Record<string, string | undefined>): string => {
+        const authParams = Object.entries(params)
+            .filter(([, value]) => value !== undefined)
+            .map(([key, value]) => `${key}="${(value as string).replace(/["\\]/g, "\\$&")}"`);
+
+        return [TokenValidationConstants.BEARER_SCHEME, authParams.join(", ")].join(" ").trim();
+    };
+
+    /**
+     * Parses the auth-params of a WWW-Authenticate header, keyed by their lowercase names. For more information, visit:
+     * https://www.rfc-editor.org/rfc/rfc9110#section-11.6.1
+     * @param {string} header: value of the WWW-Authenticate header
+     * @returns {Record<string, string>}
+     */
+    static parseAuthenticateHeader = (header: string): Record<string, string> => {
+        const authParams: Record<string, string> = {};
+        const authParamRegex = /([\w-]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^\s,]+))/g;
+        let match: RegExpExecArray | null;
+
+        while ((match = authParamRegex.exec(header)) !== null) {
+            authParams[match[1].toLowerCase()] = match[2] !== undefined ? match[2].replace(/\\(.)/g, "$1") : match[3];
+        }
+
+        return authParams;
+    };
+
+    /**
+     * Indicates whether a request comes from a script, such as fetch() or XMLHttpRequest, that expects
+     * a JSON response rather than a page, based on its X-Requested-With, fetch metadata and Accept headers
+     * @param {Request} req: Express request object
+     * @returns {boolean}
+     */
+    static prefersJson = (req: Request): boolean => {
+        if (req.xhr) {
+            return true;
+        }
+
+        const isScript = req.get(FetchMetadataConstants.MODE_HEADER) !== FetchMetadataConstants.NAVIGATE_MODE
+            && req.get(FetchMetadataConstants.DEST_HEADER) === FetchMetadataConstants.EMPTY_DEST;
+
+        // scripts send Accept: */* by default, so they get JSON unless they ask for HTML
+        return isScript
+            ? req.accepts(["json", "html"]) === "json"
+            : req.accepts(["html", "json"]) === "json";
+    };
+
+    /**
+     * Indicates whether a request was sent by a page of the app itself, based on its Origin header
+     * @param {Request} req: Express request object
+     * @returns {boolean}
+     */
+    static isSameOrigin = (req: Request): boolean => {
+        const origin = req.get("origin");
+
+        return !!origin && origin === `${req.protocol}://${req.get("host")}`;
+    };
+
+    /**
+     * Returns the decoded claims of a claims challenge in a WWW-Authenticate header, if any
+     * @param {string} header: value of the WWW-Authenticate header
+     * @returns {string | null}
+     */
+    static getClaimsChallenge = (header?: string | null): string | null => {
+        if (!header) {
+            return null;
+        }
+
+        const authParams = HeaderUtils.parseAuthenticateHeader(header);
+        const claims = authParams[ClaimsChallengeConstants.CLAIMS_PARAM];
+
+        if (!claims || authParams[ClaimsChallengeConstants.ERROR_PARAM] !== TokenValidationConstants.INSUFFICIENT_CLAIMS_ERROR) {
+            return null;
+        }
+
+        return Buffer.from(claims, "base64").toString("utf8");
+    };
+}
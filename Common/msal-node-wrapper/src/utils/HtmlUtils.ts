@@ -0,0 +1,39 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+export class HtmlUtils {
+    /**
+     * Escapes the characters of a string that have a special meaning in HTML text and attribute values
+     * @param {string} value: a given string
+     * @returns {string}
+     */
+    static escape = (value: string): string => {
+        return value
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;")
+            .replace(/'/g, "&#39;");
+    };
+
+    /**
+     * Builds a page with a form that submits the given fields to the given URL as soon as it loads.
+     * Browsers without scripts show the form, so that the user can submit it
+     * @param {string} action: URL to submit the form to
+     * @param {string} method: method of the form
+     * @param {Array} fields: names and values of the form fields
+     * @returns {string}
+     */
+    static buildAutoSubmitPage = (action: string, method: string, fields: Array<[string, string]>): string => {
+        const inputs = fields
+            .map(([name, value]) => `<input type="hidden" name="${HtmlUtils.escape(name)}" value="${HtmlUtils.escape(value)}">`)
+            .join("");
+
+        return "<!DOCTYPE html><html><head><title>Submitting</title></head><body onload=\"document.forms[0].submit()\">" +
+            `<form method="${HtmlUtils.escape(method)}" action="${HtmlUtils.escape(action)}">${inputs}` +
+            "<p>You have signed in. Submit the form again to continue.</p><button type=\"submit\">Continue</button>" +
+            "</form></body></html>";
+    };
+}
@@ -5,6 +5,7 @@
 
 import { IUri, UrlString } from "@azure/msal-common";
 import { Request } from "express";
+import { RedirectAllowlist } from "../config/ConfigurationTypes";
 
 export class UrlUtils {
     /**
@@ -81,4 +82,96 @@ export class UrlUtils {
     static enforceTrailingSlash = (url: string): string => {
         return url.endsWith("/") ? url : url + "/";
     };
+
+    /**
+     * Checks if a given path matches a route pattern. Pattern segments starting with a colon
+     * match any single path segment, while an asterisk matches the rest of the path
+     * @param {string} path: a given path
+     * @param {string} pattern: a route pattern, e.g. /todolist/:id
+     * @returns {boolean}
+     */
+    static matchesRoutePattern = (path: string, pattern: string): boolean => {
+        const pathSegments = path.split("/").filter((segment) => !!segment);
+        const patternSegments = pattern.split("/").filter((segment) => !!segment);
+
+        for (let i = 0; i < patternSegments.length; i++) {
+            if (patternSegments[i] === "*") {
+                return true;
+            }
+
+            if (i >= pathSegments.length) {
+                return false;
+            }
+
+            if (!patternSegments[i].startsWith(":") && patternSegments[i].toLowerCase() !== pathSegments[i].toLowerCase()) {
+                return false;
+            }
+        }
+
+        return pathSegments.length === patternSegments.length;
+    };
+
+    /**
+     * Returns the given redirect URI if it points to this app or to an allowed origin,
+     * and to an allowed path, otherwise returns the fallback URI
+     * @param {Request} req: Express request object
+     * @param {string} url: a given redirect URI
+     * @param {RedirectAllowlist} allowlist: allowed redirect origins and paths
+     * @returns {string}
+     */
+    static getSafeRedirectUri = (req: Request, url?: string, allowlist: RedirectAllowlist = {}): string => {
+        const fallbackUri = allowlist.fallbackUri || "/";
+
+        if (!url) {
+            return fallbackUri;
+        }
+
+        const appOrigin = UrlUtils.getOrigin(`${req.protocol}://${req.get("host") || req.hostname}`);
+        let redirectUrl: URL;
+
+        try {
+            // relative URIs resolve against this app, while protocol-relative ones (//host) do not
+            redirectUrl = new URL(url, appOrigin);
+        } catch (error) {
+            return fallbackUri;
+        }
+
+        const isAllowedOrigin = redirectUrl.origin === appOrigin ||
+            (allowlist.origins || []).some((origin) => UrlUtils.getOrigin(origin) === redirectUrl.origin);
+
+        const isAllowedPath = !allowlist.paths || allowlist.paths.some((path) => {
+            const allowedPath = UrlUtils.enforceLeadingSlash(path);
+            return redirectUrl.pathname === allowedPath || redirectUrl.pathname.startsWith(UrlUtils.enforceTrailingSlash(allowedPath));
+        });
+
+        return isAllowedOrigin && isAllowedPath ? url : fallbackUri;
+    };
+
+    /**
+     * Returns the resource identifier of a given endpoint URL or App ID URI,
+     * e.g. https://graph.microsoft.com for https://graph.microsoft.com/v1.0/me
+     * @param {string} uri: endpoint URL or App ID URI of the resource
+     * @returns {string}
+     */
+    static getResourceFromUri = (uri: string): string => {
+        try {
+            const resourceUrl = new URL(uri);
+            return `${resourceUrl.protocol}//${resourceUrl.host}`.toLowerCase();
+        } catch (error) {
+            return uri.toLowerCase();
+        }
+    };
+
+    /**
+     * Returns the origin (scheme, host and port) of a given URL, or undefined if it is not a valid URL
+     * @param {string} url: a given URL
+     * @returns {string | undefined}
+     */
+    static getOrigin = (url: string): string | undefined => {
+        try {
+            return new URL(url).origin;
+        } catch (error) {
+            return undefined;
+        }
+    };
 }
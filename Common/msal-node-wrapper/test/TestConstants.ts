@@ -74,6 +74,7 @@ export const TEST_CONSTANTS = {
         aio: "Df2UVXL1ix!lMCWMSOJBcFatzcGfvFGhjKv8q5g0x732dR5MB5BisvGQO7YWByjd8iQDLq!eGbIDakyp5mnOrcdqHeYSnltepQmRp6AIZ8jY",
     },
     AUTHORITY_METADAT: "mock authority metadata",
+    JWKS_URI: "https://login.microsoftonline.com/c56a4180-65aa-42ec-a945-5fd21dec0538/discovery/v2.0/keys",
     CLOUD_DISCOVERY_METADATA: "mock discovery metadata",
 };
 
@@ -97,3 +98,38 @@ export const TEST_MSAL_CONFIG = {
         cloudDiscoveryMetadata: TEST_AUTH_CONFING.auth.cloudDiscoveryMetadata,
     },
 };
+
+export const TEST_AUTHORITY_METADATA = JSON.stringify({
+    token_endpoint: `https://login.microsoftonline.com/${TEST_CONSTANTS.TENANT_ID}/oauth2/v2.0/token`,
+    authorization_endpoint: `https://login.microsoftonline.com/${TEST_CONSTANTS.TENANT_ID}/oauth2/v2.0/authorize`,
+    end_session_endpoint: `https://login.microsoftonline.com/${TEST_CONSTANTS.TENANT_ID}/oauth2/v2.0/logout`,
+    issuer: `https://login.microsoftonline.com/${TEST_CONSTANTS.TENANT_ID}/v2.0`,
+    jwks_uri: TEST_CONSTANTS.JWKS_URI,
+});
+
+export const TEST_CLOUD_DISCOVERY_METADATA = JSON.stringify({
+    tenant_discovery_endpoint: `https://login.microsoftonline.com/${TEST_CONSTANTS.TENANT_ID}/v2.0/.well-known/openid-configuration`,
+    "api-version": "1.1",
+    metadata: [{
+        preferred_network: "login.microsoftonline.com",
+        preferred_cache: "login.windows.net",
+        aliases: ["login.microsoftonline.com", "login.windows.net", "login.microsoft.com", "sts.windows.net"],
+    }],
+});
+
+export const TEST_WEB_API_AUTH_CONFIG = {
+    auth: {
+        authority: `https://login.microsoftonline.com/${TEST_CONSTANTS.TENANT_ID}`,
+        clientId: TEST_CONSTANTS.CLIENT_ID,
+        authorityMetadata: TEST_AUTHORITY_METADATA,
+        cloudDiscoveryMetadata: TEST_CLOUD_DISCOVERY_METADATA,
+    },
+};
+
+export const TEST_WEB_APP_AUTH_CONFIG = {
+    auth: {
+        ...TEST_WEB_API_AUTH_CONFIG.auth,
+        clientSecret: TEST_CONSTANTS.CLIENT_SECRET,
+        redirectUri: "/redirect",
+    },
+};
@@ -0,0 +1,198 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+import { generateKeyPairSync, createSign, KeyObject, JsonWebKey } from "crypto";
+import express from "express";
+import { AxiosError, AxiosRequestConfig } from "axios";
+import session from "express-session";
+import { AccountInfo } from "@azure/msal-node";
+import { WebAppAuthProvider } from "../src/provider/WebAppAuthProvider";
+import { AuthenticateMiddlewareOptions } from "../src/middleware/MiddlewareOptions";
+import { TEST_CONSTANTS } from "./TestConstants";
+
+export type TestKeyPair = {
+    kid: string;
+    privateKey: KeyObject;
+    publicJwk: JsonWebKey;
+};
+
+/**
+ * Generates an RSA key pair and its public JWK, standing in for the authority's signing keys
+ */
+export const generateTestKeyPair = (kid: string): TestKeyPair => {
+    const { privateKey, publicKey } = generateKeyPairSync("rsa", { modulusLength: 2048 });
+
+    return {
+        kid,
+        privateKey,
+        publicJwk: { ...publicKey.export({ format: "jwk" }), kid, use: "sig" },
+    };
+};
+
+/**
+ * Signs a set of claims as an RS256 JWT with a given key pair
+ */
+export const signTestToken = (keyPair: TestKeyPair, claims: Record<string, unknown>, header: Record<string, unknown> = {}): string => {
+    const encode = (part: Record<string, unknown>) => Buffer.from(JSON.stringify(part)).toString("base64url");
+    const signedContent = `${encode({ typ: "JWT", alg: "RS256", kid: keyPair.kid, ...header })}.${encode(claims)}`;
+    const signature = createSign("RSA-SHA256").update(signedContent).sign(keyPair.privateKey).toString("base64url");
+
+    return `${signedContent}.${signature}`;
+};
+
+/**
+ * Returns valid access token claims for the test web API, issued now
+ */
+export const getTestAccessTokenClaims = (overrides: Record<string, unknown> = {}): Record<string, unknown> => {
+    const now = Math.floor(Date.now() / 1000);
+
+    return {
+        ...TEST_CONSTANTS.ACCESS_TOKEN_CLAIMS,
+        aud: TEST_CONSTANTS.CLIENT_ID,
+        iss: `https://login.microsoftonline.com/${TEST_CONSTANTS.TENANT_ID}/v2.0`,
+        tid: TEST_CONSTANTS.TENANT_ID,
+        iat: now,
+        nbf: now,
+        exp: now + 3600,
+        ...overrides,
+    };
+};
+
+/**
+ * Returns the account of a test user, signed in to the test tenant
+ */
+export const getTestAccount = (uid: string): AccountInfo => ({
+    homeAccountId: `${uid}.${TEST_CONSTANTS.TENANT_ID}`,
+    environment: TEST_CONSTANTS.DEFAULT_AUTHORITY_HOST,
+    tenantId: TEST_CONSTANTS.TENANT_ID,
+    username: `${uid}@contoso.com`,
+    localAccountId: uid,
+});
+
+/**
+ * Returns a serialized MSAL cache holding the account, and valid access and refresh tokens, of a test user
+ */
+export const getTestSerializedCache = (uid: string): string => {
+    const { homeAccountId, environment, tenantId, username, localAccountId } = getTestAccount(uid);
+    const now = Math.floor(Date.now() / 1000);
+    const scopes = TEST_CONSTANTS.DEFAULT_GRAPH_SCOPE.join(" ");
+
+    return JSON.stringify({
+        Account: {
+            [`${homeAccountId}-${environment}-${tenantId}`]: {
+                home_account_id: homeAccountId,
+                environment,
+                realm: tenantId,
+                local_account_id: localAccountId,
+                username,
+                authority_type: "MSSTS",
+            },
+        },
+        IdToken: {},
+        AccessToken: {
+            [`${homeAccountId}-${environment}-accesstoken-${TEST_CONSTANTS.CLIENT_ID}-${tenantId}-${scopes}`]: {
+                home_account_id: homeAccountId,
+                environment,
+                credential_type: "AccessToken",
+                client_id: TEST_CONSTANTS.CLIENT_ID,
+                secret: `${TEST_CONSTANTS.ACCESS_TOKEN}-${uid}`,
+                realm: tenantId,
+                target: scopes,
+                token_type: "Bearer",
+                cached_at: now.toString(),
+                expires_on: (now + 3600).toString(),
+                extended_expires_on: (now + 7200).toString(),
+            },
+        },
+        RefreshToken: {
+            [`${homeAccountId}-${environment}-refreshtoken-${TEST_CONSTANTS.CLIENT_ID}--`]: {
+                home_account_id: homeAccountId,
+                environment,
+                credential_type: "RefreshToken",
+                client_id: TEST_CONSTANTS.CLIENT_ID,
+                secret: `${TEST_CONSTANTS.REFRESH_TOKEN}-${uid}`,
+            },
+        },
+        AppMetadata: {},
+    });
+};
+
+/**
+ * Creates an Express app with session support and the authentication middleware of a given provider
+ */
+export const createTestWebApp = (
+    authProvider: WebAppAuthProvider,
+    configureRoutes: (app: express.Express) => void,
+    options?: AuthenticateMiddlewareOptions
+): express.Express => {
+    const app = express();
+
+    app.use(session({
+        secret: "TEST_SESSION_SECRET",
+        resave: false,
+        saveUninitialized: false,
+    }));
+
+    app.use(express.urlencoded({ extended: false }));
+    app.use(express.json());
+
+    app.use(authProvider.authenticate(options));
+
+    app.get("/signin", (req, res, next) => req.authContext.login({
+        postLoginRedirectUri: "/profile",
+        scopes: [],
+    })(req, res, next));
+
+    configureRoutes(app);
+
+    return app;
+};
+
+/**
+ * Returns the query parameters of a redirect response
+ */
+export const getRedirectParams = (location: string): URLSearchParams => new URL(location, "http://localhost").searchParams;
+
+/**
+ * Stands in for the metadata endpoints of the given authority hosts, serving instance discovery and
+ * OpenID configuration documents for any tenant. Requests to other hosts fail with a 404 response
+ */
+export const createMockMetadataServer = (hosts: string[]) => async (
+    endpoint: string,
+    options?: AxiosRequestConfig
+): Promise<{ data: Record<string, unknown> }> => {
+    const url = new URL(endpoint);
+    const notFound = Object.assign(new AxiosError("Not Found"), { response: { status: 404 } });
+
+    if (!hosts.includes(url.host)) {
+        throw notFound;
+    }
+
+    if (url.pathname === "/common/discovery/instance") {
+        return {
+            data: {
+                tenant_discovery_endpoint: `${options?.params?.authorization_endpoint}`.replace("oauth2/v2.0/authorize", "v2.0/.well-known/openid-configuration"),
+                "api-version": "1.1",
+                metadata: [{ preferred_network: url.host, preferred_cache: url.host, aliases: [url.host] }],
+            },
+        };
+    }
+
+    const [, tenant] = url.pathname.match(/^\/([^/]+)\/v2\.0\/\.well-known\/openid-configuration$/) || [];
+
+    if (!tenant) {
+        throw notFound;
+    }
+
+    return {
+        data: {
+            token_endpoint: `https://${url.host}/${tenant}/oauth2/v2.0/token`,
+            authorization_endpoint: `https://${url.host}/${tenant}/oauth2/v2.0/authorize`,
+            end_session_endpoint: `https://${url.host}/${tenant}/oauth2/v2.0/logout`,
+            issuer: `https://${url.host}/${tenant}/v2.0`,
+            jwks_uri: `https://${url.host}/${tenant}/discovery/v2.0/keys`,
+        },
+    };
+};
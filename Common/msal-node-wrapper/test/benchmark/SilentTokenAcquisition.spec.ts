@@ -0,0 +1,107 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+import { performance } from "perf_hooks";
+import { AccountInfo, ConfidentialClientApplication, LogLevel } from "@azure/msal-node";
+import { WebAppAuthProvider } from "../../src/provider/WebAppAuthProvider";
+import { InMemoryCacheClient } from "../../src/cache/InMemoryCacheClient";
+import { TEST_CONSTANTS, TEST_WEB_APP_AUTH_CONFIG } from "../TestConstants";
+import { getTestAccount, getTestSerializedCache } from "../TestUtils";
+
+const USER_COUNT = 10;
+const REQUESTS_PER_USER = 20;
+const ROUNDS = 15;
+
+type SilentTokenRequest = (account: AccountInfo) => Promise<string>;
+
+/**
+ * Sends concurrent silent token requests for all users and returns their mean latency in milliseconds
+ */
+const measureMeanLatency = async (accounts: AccountInfo[], acquireTokenSilent: SilentTokenRequest): Promise<number> => {
+    const requests = accounts.flatMap((account) => Array<AccountInfo>(REQUESTS_PER_USER).fill(account));
+
+    const latencies = await Promise.all(requests.map(async (account) => {
+        const start = performance.now();
+        const accessToken = await acquireTokenSilent(account);
+        expect(accessToken).toBe(`${TEST_CONSTANTS.ACCESS_TOKEN}-${account.localAccountId}`);
+        return performance.now() - start;
+    }));
+
+    return latencies.reduce((sum, latency) => sum + latency, 0) / latencies.length;
+};
+
+const getMedian = (values: number[]): number => [...values].sort((a, b) => a - b)[Math.floor(values.length / 2)];
+
+/**
+ * Compares the latency of both designs and reports it without asserting on it, as timings depend on the machine.
+ * Benchmarks are not part of the test suite, run them with: npm run test:benchmark
+ */
+describe("Silent token acquisition benchmark", () => {
+    const accounts = Array.from({ length: USER_COUNT }, (_, index) => getTestAccount(`user${index}`));
+
+    let cacheClient: InMemoryCacheClient;
+    let authProvider: WebAppAuthProvider;
+
+    beforeEach(async () => {
+        cacheClient = new InMemoryCacheClient();
+
+        await Promise.all(accounts.map((account) => cacheClient.set(
+            account.homeAccountId,
+            getTestSerializedCache(account.localAccountId)
+        )));
+
+        authProvider = await WebAppAuthProvider.initialize({
+            ...TEST_WEB_APP_AUTH_CONFIG,
+            system: { loggerOptions: { logLevel: LogLevel.Error, loggerCallback: () => undefined } },
+            cache: { cacheClient },
+        });
+    });
+
+    it("should report the latency of concurrent requests with a client per request and with a shared MSAL client", async () => {
+        // the previous design: a client per request, with the cache of the user deserialized into it and written back
+        const acquireWithClientPerRequest: SilentTokenRequest = async (account) => {
+            const msalClient = new ConfidentialClientApplication(authProvider.getMsalConfig());
+            msalClient.getTokenCache().deserialize(await cacheClient.get(account.homeAccountId));
+
+            const tokenResponse = await msalClient.acquireTokenSilent({ account, scopes: TEST_CONSTANTS.DEFAULT_GRAPH_SCOPE });
+            await cacheClient.set(account.homeAccountId, msalClient.getTokenCache().serialize());
+
+            return tokenResponse.accessToken;
+        };
+
+        const acquireWithSharedClient: SilentTokenRequest = async (account) => {
+            const tokenResponse = await authProvider.runWithCachePartition(
+                account.homeAccountId,
+                (msalClient) => msalClient.acquireTokenSilent({ account, scopes: TEST_CONSTANTS.DEFAULT_GRAPH_SCOPE })
+            );
+
+            return tokenResponse.accessToken;
+        };
+
+        const clientPerRequestLatencies: number[] = [];
+        const sharedClientLatencies: number[] = [];
+
+        // rounds alternate between both designs, and the first round of each only warms up
+        for (let round = 0; round <= ROUNDS; round++) {
+            const clientPerRequestLatency = await measureMeanLatency(accounts, acquireWithClientPerRequest);
+            const sharedClientLatency = await measureMeanLatency(accounts, acquireWithSharedClient);
+
+            if (round > 0) {
+                clientPerRequestLatencies.push(clientPerRequestLatency);
+                sharedClientLatencies.push(sharedClientLatency);
+            }
+        }
+
+        const clientPerRequestMedian = getMedian(clientPerRequestLatencies);
+        const sharedClientMedian = getMedian(sharedClientLatencies);
+
+        // eslint-disable-next-line no-console
+        console.log(
+            `Median of mean silent token latency over ${USER_COUNT * REQUESTS_PER_USER} concurrent requests ` +
+            `for ${USER_COUNT} users: ${clientPerRequestMedian.toFixed(2)} ms with a client per request, ` +
+            `${sharedClientMedian.toFixed(2)} ms with a shared client`
+        );
+    });
+});
@@ -0,0 +1,240 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+import { mkdtemp, readFile, rm, utimes, writeFile } from "fs/promises";
+import os from "os";
+import path from "path";
+import express from "express";
+import request from "supertest";
+import sinon from "sinon";
+import { MetadataCache } from "../../src/cache/MetadataCache";
+import { InMemoryCacheClient } from "../../src/cache/InMemoryCacheClient";
+import { WebAppAuthProvider } from "../../src/provider/WebAppAuthProvider";
+import { WebApiAuthProvider } from "../../src/provider/WebApiAuthProvider";
+import { FetchManager } from "../../src/network/FetchManager";
+import { WebAppAuthConfig } from "../../src/config/ConfigurationTypes";
+import { TEST_CONSTANTS } from "../TestConstants";
+import {
+    createMockMetadataServer,
+    createTestWebApp,
+    generateTestKeyPair,
+    getTestAccessTokenClaims,
+    signTestToken
+} from "../TestUtils";
+
+describe("Metadata cache tests", () => {
+    const AUTHORITY = `https://login.microsoftonline.com/${TEST_CONSTANTS.TENANT_ID}`;
+    const PINNED_AUTHORIZATION_ENDPOINT = `${AUTHORITY}/oauth2/v2.0/authorize-pinned`;
+
+    let directory: string;
+    let filePath: string;
+    let callApiEndpointStub: sinon.SinonStub;
+
+    beforeEach(async () => {
+        directory = await mkdtemp(path.join(os.tmpdir(), "msal-metadata-"));
+        filePath = path.join(directory, "metadata.json");
+
+        await writeFile(filePath, JSON.stringify({
+            cloudDiscoveryMetadata: (await createMockMetadataServer(["login.microsoftonline.com"])(
+                "https://login.microsoftonline.com/common/discovery/instance",
+                { params: { authorization_endpoint: `${AUTHORITY}/oauth2/v2.0/authorize` } }
+            )).data,
+            authorityMetadata: {
+                ...(await createMockMetadataServer(["login.microsoftonline.com"])(`${AUTHORITY}/v2.0/.well-known/openid-configuration`)).data,
+                authorization_endpoint: PINNED_AUTHORIZATION_ENDPOINT,
+            },
+        }));
+
+        callApiEndpointStub = sinon.stub(FetchManager, "callApiEndpoint").callsFake(createMockMetadataServer(["login.microsoftonline.com"]));
+    });
+
+    afterEach(async () => {
+        sinon.restore();
+        await rm(directory, { recursive: true, force: true });
+    });
+
+    const setFileAge = (seconds: number) => {
+        const modifiedAt = new Date(Date.now() - seconds * 1000);
+        return utimes(filePath, modifiedAt, modifiedAt);
+    };
+
+    it("should fetch the metadata from the network and persist it", async () => {
+        const cacheClient = new InMemoryCacheClient();
+        const metadataCache = new MetadataCache(AUTHORITY, [], { cacheClient });
+
+        const entry = await metadataCache.load();
+
+        expect(callApiEndpointStub.callCount).toBe(2);
+        expect(JSON.parse(entry.authorityMetadata).issuer).toBe(`${AUTHORITY}/v2.0`);
+        expect(JSON.parse(await cacheClient.get(`metadata-${AUTHORITY}`))).toEqual(entry);
+    });
+
+    it("should load the metadata from a file without network calls", async () => {
+        await setFileAge(60);
+
+        const entry = await new MetadataCache(AUTHORITY, [], { filePath }).load();
+
+        expect(callApiEndpointStub.called).toBe(false);
+        expect(JSON.parse(entry.authorityMetadata).authorization_endpoint).toBe(PINNED_AUTHORIZATION_ENDPOINT);
+        expect(Math.round((Date.now() - entry.fetchedAt) / 1000)).toBe(60);
+    });
+
+    it("should load the freshest of the metadata file and the cache store", async () => {
+        const cacheClient = new InMemoryCacheClient();
+        const storedEntry = await new MetadataCache(AUTHORITY, [], { cacheClient }).load();
+
+        await setFileAge(60);
+        expect(await new MetadataCache(AUTHORITY, [], { filePath, cacheClient }).load()).toEqual(storedEntry);
+
+        // modification times are not precise to the millisecond, so the file is modified clearly after the store
+        await setFileAge(-1);
+        expect(JSON.parse((await new MetadataCache(AUTHORITY, [], { filePath, cacheClient }).load()).authorityMetadata)
+            .authorization_endpoint).toBe(PINNED_AUTHORIZATION_ENDPOINT);
+    });
+
+    it.each([
+        ["is missing", () => rm(filePath)],
+        ["is not valid JSON", () => writeFile(filePath, "{\"authorityMetadata\":")],
+        ["has no authority metadata", () => writeFile(filePath, JSON.stringify({ cloudDiscoveryMetadata: {} }))],
+    ])("should fetch the metadata from the network if the metadata file %s", async (_description, writeMetadataFile) => {
+        await writeMetadataFile();
+
+        const entry = await new MetadataCache(AUTHORITY, [], { filePath }).load();
+
+        expect(callApiEndpointStub.callCount).toBe(2);
+        expect(JSON.parse(entry.authorityMetadata).authorization_endpoint).toBe(`${AUTHORITY}/oauth2/v2.0/authorize`);
+    });
+
+    it("should fetch the metadata from the network if the stored metadata is not valid JSON", async () => {
+        const cacheClient = new InMemoryCacheClient();
+        await cacheClient.set(`metadata-${AUTHORITY}`, "{\"authorityMetadata\":");
+
+        const entry = await new MetadataCache(AUTHORITY, [], { cacheClient }).load();
+
+        expect(callApiEndpointStub.callCount).toBe(2);
+        expect(JSON.parse(await cacheClient.get(`metadata-${AUTHORITY}`))).toEqual(entry);
+    });
+
+    it("should refresh stale metadata and keep the last-known-good metadata if a refresh fails", async () => {
+        const clock = sinon.useFakeTimers({ now: Date.now(), toFake: ["Date"] });
+        const metadataCache = new MetadataCache(AUTHORITY, [], { refreshInterval: 3600 });
+        const loadedEntry = await metadataCache.load();
+
+        expect(metadataCache.isStale()).toBe(false);
+
+        clock.tick(3601 * 1000);
+        expect(metadataCache.isStale()).toBe(true);
+
+        callApiEndpointStub.rejects(new Error("Service Unavailable"));
+        await expect(metadataCache.refresh()).rejects.toThrow("Service Unavailable");
+
+        // failed refreshes are retried after the retry interval
+        expect(metadataCache.isStale()).toBe(false);
+        clock.tick(301 * 1000);
+        expect(metadataCache.isStale()).toBe(true);
+
+        callApiEndpointStub.callsFake(createMockMetadataServer(["login.microsoftonline.com"]));
+        const refreshedEntry = await metadataCache.refresh();
+
+        expect(refreshedEntry.fetchedAt).toBeGreaterThan(loadedEntry.fetchedAt);
+        expect(metadataCache.isStale()).toBe(false);
+    });
+
+    it("should not refresh metadata if the refresh interval is 0", async () => {
+        await setFileAge(30 * 86400);
+
+        const metadataCache = new MetadataCache(AUTHORITY, [], { filePath, refreshInterval: 0 });
+        await metadataCache.load();
+
+        expect(metadataCache.isStale()).toBe(false);
+    });
+
+    const initializeWithStaleFile = async () => {
+        await setFileAge(2 * 86400);
+
+        const authProvider = await WebAppAuthProvider.initialize({
+            auth: {
+                authority: AUTHORITY,
+                clientId: TEST_CONSTANTS.CLIENT_ID,
+                clientSecret: TEST_CONSTANTS.CLIENT_SECRET,
+                redirectUri: "/redirect",
+            },
+            metadata: { filePath },
+        } as WebAppAuthConfig);
+
+        const app = createTestWebApp(authProvider, () => undefined);
+        return async () => (await request(app).get("/signin")).headers.location.split("?")[0];
+    };
+
+    it("should start from the metadata file and refresh it in the background", async () => {
+        const getAuthorizationEndpoint = await initializeWithStaleFile();
+
+        expect(callApiEndpointStub.called).toBe(false);
+
+        expect(await getAuthorizationEndpoint()).toBe(PINNED_AUTHORIZATION_ENDPOINT);
+        expect(callApiEndpointStub.callCount).toBe(2);
+
+        expect(await getAuthorizationEndpoint()).toBe(`${AUTHORITY}/oauth2/v2.0/authorize`);
+        expect(callApiEndpointStub.callCount).toBe(2);
+    });
+
+    it("should create the MSAL client again with the refreshed metadata", async () => {
+        await setFileAge(2 * 86400);
+
+        const authProvider = await WebAppAuthProvider.initialize({
+            auth: {
+                authority: AUTHORITY,
+                clientId: TEST_CONSTANTS.CLIENT_ID,
+                clientSecret: TEST_CONSTANTS.CLIENT_SECRET,
+                redirectUri: "/redirect",
+            },
+            metadata: { filePath },
+        } as WebAppAuthConfig);
+
+        const staleClient = authProvider.getMsalClient();
+        await new Promise((resolve) => setImmediate(resolve));
+
+        expect(authProvider.getMsalClient()).not.toBe(staleClient);
+        expect(authProvider.getMsalClient()).toBe(authProvider.getMsalClient());
+    });
+
+    it("should pass the refreshed metadata on to the token validator of web APIs", async () => {
+        const signingKey = generateTestKeyPair("test-kid-1");
+        sinon.stub(FetchManager, "fetchSigningKeys").resolves([signingKey.publicJwk]);
+
+        // the stale file names an issuer that the authority no longer uses
+        const { cloudDiscoveryMetadata, authorityMetadata } = JSON.parse(await readFile(filePath, "utf-8"));
+        await writeFile(filePath, JSON.stringify({
+            cloudDiscoveryMetadata,
+            authorityMetadata: { ...authorityMetadata, issuer: "https://sts.contoso.com/{tenantid}/v2.0" },
+        }));
+        await setFileAge(2 * 86400);
+
+        const authProvider = await WebApiAuthProvider.initialize({
+            auth: { authority: AUTHORITY, clientId: TEST_CONSTANTS.CLIENT_ID },
+            metadata: { filePath },
+        });
+
+        const app = express();
+        app.use(authProvider.authenticate());
+        app.get("/api", (_req, res) => res.end());
+
+        const getStatusCode = async () => (await request(app)
+            .get("/api")
+            .set("Authorization", `Bearer ${signTestToken(signingKey, getTestAccessTokenClaims())}`)).statusCode;
+
+        expect(await getStatusCode()).toBe(401);
+        expect(await getStatusCode()).toBe(200);
+    });
+
+    it("should keep using the last-known-good metadata if a background refresh fails", async () => {
+        callApiEndpointStub.rejects(new Error("Service Unavailable"));
+        const getAuthorizationEndpoint = await initializeWithStaleFile();
+
+        expect(await getAuthorizationEndpoint()).toBe(PINNED_AUTHORIZATION_ENDPOINT);
+        expect(await getAuthorizationEndpoint()).toBe(PINNED_AUTHORIZATION_ENDPOINT);
+        expect(callApiEndpointStub.callCount).toBe(2);
+    });
+});
@@ -0,0 +1,218 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+import { mkdtemp, readdir, rm } from "fs/promises";
+import os from "os";
+import path from "path";
+import sinon from "sinon";
+import { AccountInfo } from "@azure/msal-node";
+import { WebAppAuthProvider } from "../../src/provider/WebAppAuthProvider";
+import { InMemoryCacheClient } from "../../src/cache/InMemoryCacheClient";
+import { FileCacheClient } from "../../src/cache/FileCacheClient";
+import { WebAppAuthConfig } from "../../src/config/ConfigurationTypes";
+import { TEST_CONSTANTS, TEST_WEB_APP_AUTH_CONFIG } from "../TestConstants";
+import { getTestAccount, getTestSerializedCache } from "../TestUtils";
+
+describe("Partitioned token cache tests", () => {
+    const alice = getTestAccount("alice");
+    const bob = getTestAccount("bob");
+
+    let cacheClient: InMemoryCacheClient;
+    let authProvider: WebAppAuthProvider;
+
+    beforeEach(async () => {
+        cacheClient = new InMemoryCacheClient();
+        await cacheClient.set(alice.homeAccountId, getTestSerializedCache("alice"));
+        await cacheClient.set(bob.homeAccountId, getTestSerializedCache("bob"));
+
+        authProvider = await WebAppAuthProvider.initialize({
+            ...TEST_WEB_APP_AUTH_CONFIG,
+            cache: { cacheClient },
+        });
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    const getCachedAccountIds = async (): Promise<string[]> => {
+        const accounts = await authProvider.getMsalClient().getTokenCache().getAllAccounts();
+        return accounts.map((account) => account.homeAccountId);
+    };
+
+    it("should share a single MSAL client between requests", () => {
+        expect(authProvider.getMsalClient()).toBe(authProvider.getMsalClient());
+    });
+
+    it("should only load the cache partitions of users with requests in progress", async () => {
+        expect(await getCachedAccountIds()).toEqual([]);
+
+        await authProvider.runWithCachePartition(alice.homeAccountId, async () => {
+            expect(await getCachedAccountIds()).toEqual([alice.homeAccountId]);
+
+            await authProvider.runWithCachePartition(bob.homeAccountId, async () => {
+                expect((await getCachedAccountIds()).sort()).toEqual([alice.homeAccountId, bob.homeAccountId]);
+            });
+
+            expect(await getCachedAccountIds()).toEqual([alice.homeAccountId]);
+        });
+
+        expect(await getCachedAccountIds()).toEqual([]);
+    });
+
+    it("should serve silent token requests of concurrent users from their own partitions", async () => {
+        const [aliceToken, bobToken] = await Promise.all([alice, bob].map((account) =>
+            authProvider.runWithCachePartition(account.homeAccountId, (msalClient) => msalClient.acquireTokenSilent({
+                account,
+                scopes: TEST_CONSTANTS.DEFAULT_GRAPH_SCOPE,
+            }))
+        ));
+
+        expect(aliceToken.accessToken).toBe(`${TEST_CONSTANTS.ACCESS_TOKEN}-alice`);
+        expect(bobToken.accessToken).toBe(`${TEST_CONSTANTS.ACCESS_TOKEN}-bob`);
+    });
+
+    it("should load and write back the partition of each user at most once for concurrent requests", async () => {
+        const accounts = Array.from({ length: 10 }, (_value, index) => getTestAccount(`user${index}`));
+
+        await Promise.all(accounts.map((account) => cacheClient.set(
+            account.homeAccountId,
+            getTestSerializedCache(account.localAccountId)
+        )));
+
+        const getSpy = sinon.spy(cacheClient, "get");
+        const setSpy = sinon.spy(cacheClient, "set");
+        const deserializeSpy = sinon.spy(authProvider.getMsalClient().getTokenCache(), "deserialize");
+
+        const requests = accounts.flatMap((account) => Array<AccountInfo>(20).fill(account));
+
+        const tokenResponses = await Promise.all(requests.map((account) => authProvider.runWithCachePartition(
+            account.homeAccountId,
+            (msalClient) => msalClient.acquireTokenSilent({ account, scopes: TEST_CONSTANTS.DEFAULT_GRAPH_SCOPE })
+        )));
+
+        tokenResponses.forEach((tokenResponse, index) => {
+            expect(tokenResponse.accessToken).toBe(`${TEST_CONSTANTS.ACCESS_TOKEN}-${requests[index].localAccountId}`);
+        });
+
+        expect(getSpy.callCount).toBe(accounts.length);
+        expect(deserializeSpy.callCount).toBe(accounts.length);
+        expect(setSpy.callCount).toBeLessThanOrEqual(accounts.length);
+    });
+
+    it("should write changes back to the partition of the given user", async () => {
+        await authProvider.runWithCachePartition(alice.homeAccountId, async (msalClient) => {
+            const tokenCache = msalClient.getTokenCache();
+            const account = await tokenCache.getAccountByHomeId(alice.homeAccountId);
+
+            // eslint-disable-next-line @typescript-eslint/no-non-null-assertion
+            await tokenCache.removeAccount(account!);
+        });
+
+        expect(JSON.parse(await cacheClient.get(alice.homeAccountId)).Account).toEqual({});
+        expect(await cacheClient.get(bob.homeAccountId)).toBe(getTestSerializedCache("bob"));
+    });
+
+    it("should save the partition of a user that has signed in", async () => {
+        const carol = getTestAccount("carol");
+        authProvider.getMsalClient().getTokenCache().deserialize(getTestSerializedCache("carol"));
+
+        await authProvider.saveCachePartition(carol.homeAccountId, authProvider.getMsalClient());
+
+        expect(Object.keys(JSON.parse(await cacheClient.get(carol.homeAccountId)).Account)).toHaveLength(1);
+        expect(await getCachedAccountIds()).toEqual([]);
+    });
+});
+
+describe("Default web app token cache tests", () => {
+    const alice = getTestAccount("alice");
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it("should forget the tokens of users without requests for the lifetime of the session", async () => {
+        const clock = sinon.useFakeTimers({ now: Date.now(), toFake: ["Date"] });
+
+        const authProvider = await WebAppAuthProvider.initialize({
+            ...TEST_WEB_APP_AUTH_CONFIG,
+            sessionLifetime: 3600,
+        } as WebAppAuthConfig);
+
+        const getCachedAccountIds = () => authProvider.runWithCachePartition(alice.homeAccountId, async (msalClient) => {
+            const accounts = await msalClient.getTokenCache().getAllAccounts();
+            return accounts.map((account) => account.homeAccountId);
+        });
+
+        authProvider.getMsalClient().getTokenCache().deserialize(getTestSerializedCache("alice"));
+        await authProvider.saveCachePartition(alice.homeAccountId, authProvider.getMsalClient());
+
+        clock.tick(3000 * 1000);
+        expect(await getCachedAccountIds()).toEqual([alice.homeAccountId]);
+
+        clock.tick(3000 * 1000);
+        expect(await getCachedAccountIds()).toEqual([alice.homeAccountId]);
+
+        clock.tick(3601 * 1000);
+        expect(await getCachedAccountIds()).toEqual([]);
+    });
+});
+
+describe("In-memory cache client tests", () => {
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it("should evict entries that have not been used within the time to live", async () => {
+        const clock = sinon.useFakeTimers({ now: Date.now(), toFake: ["Date"] });
+        const cacheClient = new InMemoryCacheClient(60);
+
+        await cacheClient.set("alice", "ALICE_PARTITION");
+        await cacheClient.set("bob", "BOB_PARTITION");
+
+        clock.tick(45 * 1000);
+        expect(await cacheClient.get("alice")).toBe("ALICE_PARTITION");
+
+        clock.tick(45 * 1000);
+        expect(await cacheClient.get("alice")).toBe("ALICE_PARTITION");
+        expect(await cacheClient.get("bob")).toBe("");
+    });
+
+    it("should keep entries without a time to live", async () => {
+        const clock = sinon.useFakeTimers({ now: Date.now(), toFake: ["Date"] });
+        const cacheClient = new InMemoryCacheClient();
+
+        await cacheClient.set("alice", "ALICE_PARTITION");
+        clock.tick(365 * 86400 * 1000);
+
+        expect(await cacheClient.get("alice")).toBe("ALICE_PARTITION");
+    });
+});
+
+describe("File cache client tests", () => {
+    let directory: string;
+
+    beforeEach(async () => {
+        directory = await mkdtemp(path.join(os.tmpdir(), "msal-cache-"));
+    });
+
+    afterEach(async () => {
+        await rm(directory, { recursive: true, force: true });
+    });
+
+    it("should store each partition in a separate file", async () => {
+        const cacheClient = new FileCacheClient(path.join(directory, "partitions"));
+
+        expect(await cacheClient.get("../alice")).toBe("");
+
+        await cacheClient.set("../alice", "alice's cache");
+        await cacheClient.set("bob", "bob's cache");
+
+        expect(await cacheClient.get("../alice")).toBe("alice's cache");
+        expect(await cacheClient.get("bob")).toBe("bob's cache");
+        expect(await readdir(path.join(directory, "partitions"))).toHaveLength(2);
+        expect(await readdir(directory)).toEqual(["partitions"]);
+    });
+});
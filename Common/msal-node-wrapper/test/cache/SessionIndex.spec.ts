@@ -0,0 +1,79 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+import sinon from "sinon";
+import { SessionIndex } from "../../src/cache/SessionIndex";
+import { InMemoryCacheClient } from "../../src/cache/InMemoryCacheClient";
+
+describe("Session index tests", () => {
+    const LIFETIME = 3600;
+    const ISSUER = "https://login.microsoftonline.com/TENANT_ID/v2.0";
+    const aliceLaptop = { iss: ISSUER, sub: "alice", sid: "SESSION_1" };
+    const alicePhone = { iss: ISSUER, sub: "alice", sid: "SESSION_2" };
+
+    let cacheClient: InMemoryCacheClient;
+    let sessionIndex: SessionIndex;
+
+    beforeEach(() => {
+        cacheClient = new InMemoryCacheClient(LIFETIME);
+        sessionIndex = new SessionIndex(cacheClient, LIFETIME);
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it("should find the app sessions of a session at the identity provider, or of a user", async () => {
+        await sessionIndex.add("app-session-1", aliceLaptop);
+        await sessionIndex.add("app-session-2", alicePhone);
+
+        expect(await sessionIndex.find({ iss: ISSUER, sid: "SESSION_1" })).toEqual(["app-session-1"]);
+        expect(await sessionIndex.find({ iss: ISSUER, sub: "alice" })).toEqual(["app-session-1", "app-session-2"]);
+        expect(await sessionIndex.find({ iss: "https://other.issuer", sub: "alice" })).toEqual([]);
+    });
+
+    it("should remove an app session from the entries of both its sid and its sub", async () => {
+        await sessionIndex.add("app-session-1", aliceLaptop);
+        await sessionIndex.add("app-session-2", alicePhone);
+
+        await sessionIndex.remove("app-session-1", aliceLaptop);
+
+        expect(await sessionIndex.find({ iss: ISSUER, sid: "SESSION_1" })).toEqual([]);
+        expect(await sessionIndex.find({ iss: ISSUER, sub: "alice" })).toEqual(["app-session-2"]);
+    });
+
+    it("should not lose app sessions added concurrently", async () => {
+        const sessionIds = Array.from({ length: 10 }, (_value, index) => `app-session-${index}`);
+
+        await Promise.all(sessionIds.map((sessionId) => sessionIndex.add(sessionId, aliceLaptop)));
+
+        expect((await sessionIndex.find({ iss: ISSUER, sub: "alice" })).sort()).toEqual(sessionIds.sort());
+    });
+
+    it("should drop app sessions once their lifetime has passed", async () => {
+        const clock = sinon.useFakeTimers({ now: Date.now(), toFake: ["Date"] });
+
+        await sessionIndex.add("app-session-1", aliceLaptop);
+        clock.tick((LIFETIME / 2) * 1000);
+        await sessionIndex.add("app-session-2", alicePhone);
+        clock.tick((LIFETIME / 2) * 1000);
+
+        expect(await sessionIndex.find({ iss: ISSUER, sub: "alice" })).toEqual(["app-session-2"]);
+
+        clock.tick((LIFETIME / 2) * 1000);
+
+        expect(await sessionIndex.find({ iss: ISSUER, sub: "alice" })).toEqual([]);
+    });
+
+    it("should empty the entries without app sessions in the store", async () => {
+        const setSpy = sinon.spy(cacheClient, "set");
+
+        await sessionIndex.add("app-session-1", aliceLaptop);
+        await sessionIndex.remove("app-session-1", aliceLaptop);
+
+        expect(setSpy.lastCall.args[1]).toBe("");
+        expect(setSpy.getCalls().filter((call) => call.args[1] === "")).toHaveLength(2);
+    });
+});
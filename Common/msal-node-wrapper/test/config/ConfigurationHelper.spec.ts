@@ -14,6 +14,29 @@ describe("MSAL configuration builder tests", () => {
 
         expect(msalConfig).toMatchObject(TEST_MSAL_CONFIG);
     });
+
+    it("should declare the capability to handle claims challenges", () => {
+        const msalConfig = ConfigurationHelper.getMsalConfiguration({
+            ...TEST_AUTH_CONFING,
+            auth: { ...TEST_AUTH_CONFING.auth, clientCapabilities: ["CP1", "llt"] },
+        });
+
+        expect(ConfigurationHelper.getMsalConfiguration(TEST_AUTH_CONFING).auth.clientCapabilities).toEqual(["CP1"]);
+        expect(msalConfig.auth.clientCapabilities).toEqual(["CP1", "llt"]);
+    });
+
+    it("should append the tenant domain to a CIAM authority without a tenant", () => {
+        const getAuthority = (authority: string) => ConfigurationHelper.getMsalConfiguration({
+            ...TEST_AUTH_CONFING,
+            auth: { ...TEST_AUTH_CONFING.auth, authority },
+        }).auth.authority;
+
+        expect(getAuthority("https://contoso.ciamlogin.com")).toBe("https://contoso.ciamlogin.com/contoso.onmicrosoft.com");
+        expect(getAuthority("https://contoso.ciamlogin.com/")).toBe("https://contoso.ciamlogin.com/contoso.onmicrosoft.com");
+        expect(getAuthority("https://contoso.ciamlogin.com/c56a4180-65aa-42ec-a945-5fd21dec0538"))
+            .toBe("https://contoso.ciamlogin.com/c56a4180-65aa-42ec-a945-5fd21dec0538/");
+        expect(getAuthority("https://login.microsoftonline.com/contoso.onmicrosoft.com")).toBe("https://login.microsoftonline.com/contoso.onmicrosoft.com");
+    });
 });
 
 describe("Configuration helper tests", () => {
@@ -39,6 +62,20 @@ describe("Configuration helper tests", () => {
         expect(["User.Read", "calendars.read"].every(elem => effectiveScopes.includes(elem))).toBe(true);
     });
 
+    it("should get the resource of a given list of scopes", () => {
+        expect(ConfigurationHelper.getResourceFromScopes(["openid", "User.Read"])).toBe("https://graph.microsoft.com");
+        expect(ConfigurationHelper.getResourceFromScopes(["https://management.azure.com/user_impersonation"])).toBe("https://management.azure.com");
+        expect(ConfigurationHelper.getResourceFromScopes(["api://11111111-2222-3333-4444-111111111111/Todo.Read"])).toBe("api://11111111-2222-3333-4444-111111111111");
+    });
+
+    it("should detect B2C and CIAM authorities", () => {
+        expect(ConfigurationHelper.isB2CAuthority("https://contoso.b2clogin.com/contoso.onmicrosoft.com/B2C_1_susi")).toBe(true);
+        expect(ConfigurationHelper.isCiamAuthority("https://contoso.ciamlogin.com/")).toBe(true);
+        expect(ConfigurationHelper.isCiamAuthority("https://Contoso.CIAMLogin.com/contoso.onmicrosoft.com")).toBe(true);
+        expect(ConfigurationHelper.isCiamAuthority("https://login.microsoftonline.com/contoso.onmicrosoft.com")).toBe(false);
+        expect(ConfigurationHelper.isCiamAuthority("https://ciamlogin.com.contoso.com/tenant")).toBe(false);
+    });
+
     it("should return instance from a given authority", () => {
         expect(ConfigurationHelper.getInstanceFromAuthority("https://login.microsoftonline.com/81b8a56824424d538d6cededab4b7c62"))
             .toBe("login.microsoftonline.com");
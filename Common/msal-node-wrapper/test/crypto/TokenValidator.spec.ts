@@ -0,0 +1,132 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+import sinon from "sinon";
+import { Logger } from "@azure/msal-common";
+import { TokenValidator } from "../../src/crypto/TokenValidator";
+import { FetchManager } from "../../src/network/FetchManager";
+import { TokenValidationError } from "../../src/error/TokenValidationError";
+import { TEST_CONSTANTS, TEST_AUTHORITY_METADATA } from "../TestConstants";
+import { generateTestKeyPair, getTestAccessTokenClaims, signTestToken } from "../TestUtils";
+
+describe("Token validator tests", () => {
+    const signingKey = generateTestKeyPair("test-kid-1");
+    const rolledOverKey = generateTestKeyPair("test-kid-2");
+
+    let fetchKeysStub: sinon.SinonStub;
+    let tokenValidator: TokenValidator;
+
+    beforeEach(() => {
+        fetchKeysStub = sinon.stub(FetchManager, "fetchSigningKeys").resolves([signingKey.publicJwk]);
+
+        tokenValidator = new TokenValidator({
+            clientId: TEST_CONSTANTS.CLIENT_ID,
+            authorityMetadata: TEST_AUTHORITY_METADATA,
+        }, new Logger({}));
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it("should validate a token signed by the authority", async () => {
+        const claims = getTestAccessTokenClaims();
+        const validatedClaims = await tokenValidator.validateAccessToken(signTestToken(signingKey, claims));
+
+        expect(validatedClaims).toEqual(claims);
+        expect(fetchKeysStub.calledOnceWith(TEST_CONSTANTS.JWKS_URI)).toBe(true);
+    });
+
+    it("should accept the application ID URI as audience", async () => {
+        const token = signTestToken(signingKey, getTestAccessTokenClaims({ aud: `api://${TEST_CONSTANTS.CLIENT_ID}` }));
+        await expect(tokenValidator.validateAccessToken(token)).resolves.toBeDefined();
+    });
+
+    it("should accept v1.0 issuers for the same tenant", async () => {
+        const token = signTestToken(signingKey, getTestAccessTokenClaims({
+            ver: "1.0",
+            iss: `https://sts.windows.net/${TEST_CONSTANTS.TENANT_ID}/`
+        }));
+
+        await expect(tokenValidator.validateAccessToken(token)).resolves.toBeDefined();
+    });
+
+    it("should reject malformed tokens", async () => {
+        await expect(tokenValidator.validateAccessToken("not.a-token")).rejects.toMatchObject({
+            errorCode: "token_not_decoded"
+        });
+    });
+
+    it("should reject tokens signed with an unknown key", async () => {
+        const token = signTestToken(generateTestKeyPair("test-kid-1"), getTestAccessTokenClaims());
+
+        await expect(tokenValidator.validateAccessToken(token)).rejects.toMatchObject({
+            errorCode: "token_not_verified"
+        });
+    });
+
+    it("should reject unsigned tokens", async () => {
+        const [header, payload] = signTestToken(signingKey, getTestAccessTokenClaims(), { alg: "none" }).split(".");
+
+        await expect(tokenValidator.validateAccessToken(`${header}.${payload}.`)).rejects.toMatchObject({
+            errorCode: "token_not_verified"
+        });
+    });
+
+    it.each(["constructor", "toString", "__proto__"])("should reject tokens with the algorithm %s", async (alg) => {
+        const token = signTestToken(signingKey, getTestAccessTokenClaims(), { alg });
+
+        await expect(tokenValidator.validateAccessToken(token)).rejects.toMatchObject({
+            errorCode: "token_not_verified"
+        });
+    });
+
+    it.each([
+        ["a null header", "null", JSON.stringify(getTestAccessTokenClaims())],
+        ["a null payload", JSON.stringify({ alg: "RS256", kid: signingKey.kid }), "null"],
+        ["an array payload", JSON.stringify({ alg: "RS256", kid: signingKey.kid }), "[]"],
+        ["a numeric header", "42", JSON.stringify(getTestAccessTokenClaims())],
+    ])("should reject tokens with %s", async (_description, header, payload) => {
+        const encode = (part: string) => Buffer.from(part).toString("base64url");
+
+        await expect(tokenValidator.validateAccessToken(`${encode(header)}.${encode(payload)}.signature`)).rejects.toMatchObject({
+            errorCode: "token_not_decoded"
+        });
+    });
+
+    it("should refresh the key set when a new key ID is seen", async () => {
+        await tokenValidator.validateAccessToken(signTestToken(signingKey, getTestAccessTokenClaims()));
+        sinon.useFakeTimers({ now: Date.now() + 10 * 60 * 1000, toFake: ["Date"] });
+        fetchKeysStub.resolves([signingKey.publicJwk, rolledOverKey.publicJwk]);
+
+        const token = signTestToken(rolledOverKey, getTestAccessTokenClaims());
+
+        await expect(tokenValidator.validateAccessToken(token)).resolves.toBeDefined();
+        expect(fetchKeysStub.calledTwice).toBe(true);
+    });
+
+    it("should report when signing keys cannot be obtained", async () => {
+        fetchKeysStub.rejects(new Error("network error"));
+
+        const error = await tokenValidator.validateAccessToken(signTestToken(signingKey, getTestAccessTokenClaims()))
+            .catch((e) => e);
+
+        expect(error).toBeInstanceOf(TokenValidationError);
+        expect(error.errorCode).toBe("keys_not_obtained");
+    });
+
+    it.each([
+        ["expired", { exp: Math.floor(Date.now() / 1000) - 3600 }],
+        ["not yet valid", { nbf: Math.floor(Date.now() / 1000) + 3600 }],
+        ["issued for another audience", { aud: "another-api" }],
+        ["issued by another tenant", { iss: "https://login.microsoftonline.com/another-tenant/v2.0" }],
+    ])("should reject tokens that are %s", async (_description, overrides) => {
+        const token = signTestToken(signingKey, getTestAccessTokenClaims(overrides));
+
+        await expect(tokenValidator.validateAccessToken(token)).rejects.toMatchObject({
+            errorCode: "invalid_token"
+        });
+    });
+});
@@ -0,0 +1,86 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+import request from "supertest";
+import sinon from "sinon";
+import { AzureCloudInstance } from "@azure/msal-node";
+import { WebAppAuthProvider } from "../../src/provider/WebAppAuthProvider";
+import { FetchManager } from "../../src/network/FetchManager";
+import { WebAppAuthConfig } from "../../src/config/ConfigurationTypes";
+import { TEST_CONSTANTS } from "../TestConstants";
+import { createMockMetadataServer, createTestWebApp } from "../TestUtils";
+
+describe("Metadata discovery tests", () => {
+    const CLOUD_HOSTS = ["login.microsoftonline.com", "login.microsoftonline.us", "login.chinacloudapi.cn"];
+    const CUSTOM_CLOUD_HOST = "login.contoso.com";
+
+    let callApiEndpointStub: sinon.SinonStub;
+
+    beforeEach(() => {
+        callApiEndpointStub = sinon.stub(FetchManager, "callApiEndpoint")
+            .callsFake(createMockMetadataServer([...CLOUD_HOSTS, CUSTOM_CLOUD_HOST]));
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    const initialize = (auth: Partial<WebAppAuthConfig["auth"]>) => WebAppAuthProvider.initialize({
+        auth: {
+            clientId: TEST_CONSTANTS.CLIENT_ID,
+            clientSecret: TEST_CONSTANTS.CLIENT_SECRET,
+            redirectUri: "/redirect",
+            ...auth,
+        },
+    } as WebAppAuthConfig);
+
+    const getRequestedHosts = () => callApiEndpointStub.getCalls().map((call) => new URL(call.args[0]).host);
+
+    it.each(CLOUD_HOSTS)("should discover the metadata of an authority in %s from its host", async (host) => {
+        const authProvider = await initialize({ authority: `https://${host}/${TEST_CONSTANTS.TENANT_ID}` });
+        const { cloudDiscoveryMetadata, authorityMetadata } = authProvider.getMsalConfig().auth;
+
+        expect(getRequestedHosts()).toEqual([host, host]);
+        expect(JSON.parse(cloudDiscoveryMetadata as string).metadata[0].preferred_network).toBe(host);
+        expect(JSON.parse(authorityMetadata as string).issuer).toBe(`https://${host}/${TEST_CONSTANTS.TENANT_ID}/v2.0`);
+
+        // MSAL accepts the metadata and builds the authorization URL against the same cloud
+        const res = await request(createTestWebApp(authProvider, () => undefined)).get("/signin");
+
+        expect(res.headers.location.startsWith(`https://${host}/${TEST_CONSTANTS.TENANT_ID}/oauth2/v2.0/authorize?`)).toBe(true);
+    });
+
+    it("should discover the metadata of the cloud instance in azureCloudOptions", async () => {
+        const authProvider = await initialize({
+            azureCloudOptions: {
+                azureCloudInstance: AzureCloudInstance.AzureUsGovernment,
+                tenant: TEST_CONSTANTS.TENANT_ID,
+            },
+        });
+
+        expect(authProvider.getMsalConfig().auth.authority).toBe(`https://login.microsoftonline.us/${TEST_CONSTANTS.TENANT_ID}/`);
+        expect(getRequestedHosts()).toEqual(["login.microsoftonline.us", "login.microsoftonline.us"]);
+    });
+
+    it("should only discover the authority metadata of a known authority", async () => {
+        const authProvider = await initialize({
+            authority: `https://${CUSTOM_CLOUD_HOST}/${TEST_CONSTANTS.TENANT_ID}`,
+            knownAuthorities: [CUSTOM_CLOUD_HOST],
+        });
+
+        expect(callApiEndpointStub.calledOnceWith(
+            `https://${CUSTOM_CLOUD_HOST}/${TEST_CONSTANTS.TENANT_ID}/v2.0/.well-known/openid-configuration`
+        )).toBe(true);
+        expect(authProvider.getMsalConfig().auth.cloudDiscoveryMetadata).toBeUndefined();
+
+        const res = await request(createTestWebApp(authProvider, () => undefined)).get("/signin");
+
+        expect(res.headers.location.startsWith(`https://${CUSTOM_CLOUD_HOST}/${TEST_CONSTANTS.TENANT_ID}/oauth2/v2.0/authorize?`)).toBe(true);
+    });
+
+    it("should fail to initialize if the metadata cannot be discovered", async () => {
+        await expect(initialize({ authority: `https://login.fabrikam.com/${TEST_CONSTANTS.TENANT_ID}` })).rejects.toThrow("Not Found");
+    });
+});
@@ -0,0 +1,89 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+import sinon from "sinon";
+import { AuthenticationResult, ConfidentialClientApplication } from "@azure/msal-node";
+import { DaemonAuthProvider } from "../../src/provider/DaemonAuthProvider";
+import { FetchManager } from "../../src/network/FetchManager";
+import { ConfigurationErrorMessages } from "../../src/utils/Constants";
+import { TEST_CONSTANTS, TEST_WEB_API_AUTH_CONFIG } from "../TestConstants";
+
+describe("Daemon auth provider tests", () => {
+    const scopes = ["https://graph.microsoft.com/.default"];
+    const tokenResponse = (accessToken: string, expiresInSeconds: number) => ({
+        accessToken,
+        expiresOn: new Date(Date.now() + expiresInSeconds * 1000),
+    } as AuthenticationResult);
+
+    let authProvider: DaemonAuthProvider;
+    let clientCredentialStub: sinon.SinonStub;
+
+    beforeEach(async () => {
+        authProvider = await DaemonAuthProvider.initialize({
+            auth: {
+                ...TEST_WEB_API_AUTH_CONFIG.auth,
+                clientSecret: TEST_CONSTANTS.CLIENT_SECRET,
+            }
+        });
+
+        clientCredentialStub = sinon.stub(ConfidentialClientApplication.prototype, "acquireTokenByClientCredential");
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it("should require a client credential", async () => {
+        await expect(DaemonAuthProvider.initialize(TEST_WEB_API_AUTH_CONFIG))
+            .rejects.toThrow(ConfigurationErrorMessages.NO_CLIENT_CREDENTIAL);
+    });
+
+    it("should serve app tokens from cache", async () => {
+        clientCredentialStub.resolves(tokenResponse("first-token", 3600));
+
+        expect((await authProvider.acquireToken({ scopes })).accessToken).toBe("first-token");
+        expect((await authProvider.acquireToken({ scopes })).accessToken).toBe("first-token");
+        expect(clientCredentialStub.calledOnce).toBe(true);
+    });
+
+    it("should share a single network call between concurrent requests", async () => {
+        clientCredentialStub.resolves(tokenResponse("first-token", 3600));
+
+        await Promise.all([...Array(5)].map(() => authProvider.acquireToken({ scopes })));
+
+        expect(clientCredentialStub.calledOnce).toBe(true);
+    });
+
+    it("should renew tokens in the background before they expire", async () => {
+        clientCredentialStub.onFirstCall().resolves(tokenResponse("first-token", 120));
+        clientCredentialStub.onSecondCall().resolves(tokenResponse("second-token", 3600));
+
+        await authProvider.acquireToken({ scopes });
+
+        // the cached token is still served while it is being renewed
+        expect((await authProvider.acquireToken({ scopes })).accessToken).toBe("first-token");
+        await new Promise(setImmediate);
+
+        expect((await authProvider.acquireToken({ scopes })).accessToken).toBe("second-token");
+        expect(clientCredentialStub.calledTwice).toBe(true);
+    });
+
+    it("should not serve tokens that are about to expire", async () => {
+        clientCredentialStub.onFirstCall().resolves(tokenResponse("first-token", 30));
+        clientCredentialStub.onSecondCall().resolves(tokenResponse("second-token", 3600));
+
+        await authProvider.acquireToken({ scopes });
+
+        expect((await authProvider.acquireToken({ scopes })).accessToken).toBe("second-token");
+    });
+
+    it("should call a protected resource with an app token", async () => {
+        clientCredentialStub.resolves(tokenResponse("first-token", 3600));
+        const callApiStub = sinon.stub(FetchManager, "callApiEndpointWithToken").resolves({ value: [] });
+
+        await expect(authProvider.callApi("https://graph.microsoft.com/v1.0/users", scopes)).resolves.toEqual({ value: [] });
+        expect(callApiStub.calledOnceWith("https://graph.microsoft.com/v1.0/users", "first-token")).toBe(true);
+    });
+});
@@ -0,0 +1,315 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+import express, { Request, Response, NextFunction } from "express";
+import request from "supertest";
+import sinon from "sinon";
+import { AuthenticationResult, ConfidentialClientApplication, InteractionRequiredAuthError } from "@azure/msal-node";
+import { WebApiAuthProvider } from "../../src/provider/WebApiAuthProvider";
+import { WebApiRequest } from "../../src/middleware/context/WebApiAuthContext";
+import { FetchManager } from "../../src/network/FetchManager";
+import { InMemoryCacheClient } from "../../src/cache/InMemoryCacheClient";
+import { TEST_CONSTANTS, TEST_WEB_API_AUTH_CONFIG } from "../TestConstants";
+import { generateTestKeyPair, getTestAccessTokenClaims, signTestToken } from "../TestUtils";
+
+describe("Web API authentication middleware tests", () => {
+    const signingKey = generateTestKeyPair("test-kid-1");
+
+    let app: express.Express;
+
+    beforeAll(async () => {
+        sinon.stub(FetchManager, "fetchSigningKeys").resolves([signingKey.publicJwk]);
+
+        const authProvider = await WebApiAuthProvider.initialize(TEST_WEB_API_AUTH_CONFIG);
+
+        app = express();
+        app.use(authProvider.authenticate());
+        app.get("/api", (req: Request, res: Response) => {
+            res.json((req as unknown as WebApiRequest).authContext.getTokenClaims());
+        });
+    });
+
+    afterAll(() => {
+        sinon.restore();
+    });
+
+    it("should expose the claims of a valid token on the request", async () => {
+        const claims = getTestAccessTokenClaims();
+
+        const res = await request(app)
+            .get("/api")
+            .set("Authorization", `Bearer ${signTestToken(signingKey, claims)}`);
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body).toEqual(claims);
+    });
+
+    it("should challenge requests without a token", async () => {
+        const res = await request(app).get("/api");
+
+        expect(res.statusCode).toBe(401);
+        expect(res.headers["www-authenticate"]).toMatch(/^Bearer authorization_uri=".+", client_id=".+"$/);
+    });
+
+    it("should reject invalid tokens with an invalid_token challenge", async () => {
+        const token = signTestToken(signingKey, getTestAccessTokenClaims({ aud: "another-api" }));
+
+        const res = await request(app)
+            .get("/api")
+            .set("Authorization", `Bearer ${token}`);
+
+        expect(res.statusCode).toBe(401);
+        expect(res.headers["www-authenticate"]).toContain("error=\"invalid_token\"");
+    });
+
+    it.each([
+        ["an algorithm inherited from Object.prototype", signTestToken(signingKey, getTestAccessTokenClaims(), { alg: "constructor" })],
+        ["a null header", `${Buffer.from("null").toString("base64url")}.${signTestToken(signingKey, getTestAccessTokenClaims()).split(".").slice(1).join(".")}`],
+        ["a null payload", `${signTestToken(signingKey, getTestAccessTokenClaims()).split(".")[0]}.${Buffer.from("null").toString("base64url")}.signature`],
+    ])("should reject tokens with %s with an invalid_token challenge", async (_description, token) => {
+        const res = await request(app)
+            .get("/api")
+            .set("Authorization", `Bearer ${token}`);
+
+        expect(res.statusCode).toBe(401);
+        expect(res.headers["www-authenticate"]).toContain("error=\"invalid_token\"");
+    });
+});
+
+describe("Web API route guard tests", () => {
+    const signingKey = generateTestKeyPair("test-kid-1");
+
+    let app: express.Express;
+
+    const delegatedToken = (scp: string) => signTestToken(signingKey, getTestAccessTokenClaims({ scp }));
+    const appOnlyToken = (roles: string[]) => signTestToken(signingKey, getTestAccessTokenClaims({
+        scp: undefined,
+        idtyp: "app",
+        roles,
+    }));
+
+    beforeAll(async () => {
+        sinon.stub(FetchManager, "fetchSigningKeys").resolves([signingKey.publicJwk]);
+
+        const authProvider = await WebApiAuthProvider.initialize(TEST_WEB_API_AUTH_CONFIG);
+
+        app = express();
+        app.use(authProvider.authenticate({ protectAllRoutes: false }));
+        app.get("/todolist", authProvider.guard({
+            scopes: ["Todolist.Read", "Todolist.ReadWrite"],
+            appRoles: ["Todolist.Read.All"],
+        }), (_req: Request, res: Response) => res.sendStatus(200));
+        app.get("/admin", authProvider.guard({
+            appRoles: ["Todolist.ReadWrite.All"],
+        }), (_req: Request, res: Response) => res.sendStatus(200));
+    });
+
+    afterAll(() => {
+        sinon.restore();
+    });
+
+    it("should challenge anonymous callers", async () => {
+        const res = await request(app).get("/todolist");
+
+        expect(res.statusCode).toBe(401);
+        expect(res.headers["www-authenticate"]).toMatch(/^Bearer /);
+    });
+
+    it("should allow delegated callers with a required scope", async () => {
+        const res = await request(app)
+            .get("/todolist")
+            .set("Authorization", `Bearer ${delegatedToken("User.Read Todolist.Read")}`);
+
+        expect(res.statusCode).toBe(200);
+    });
+
+    it("should reject delegated callers without a required scope", async () => {
+        const res = await request(app)
+            .get("/todolist")
+            .set("Authorization", `Bearer ${delegatedToken("User.Read")}`);
+
+        expect(res.statusCode).toBe(403);
+        expect(res.headers["www-authenticate"]).toContain("error=\"insufficient_scope\"");
+        expect(res.headers["www-authenticate"]).toContain("scope=\"Todolist.Read Todolist.ReadWrite\"");
+    });
+
+    it("should allow app-only callers with a required app role", async () => {
+        const res = await request(app)
+            .get("/todolist")
+            .set("Authorization", `Bearer ${appOnlyToken(["Todolist.Read.All"])}`);
+
+        expect(res.statusCode).toBe(200);
+    });
+
+    it("should reject app-only callers without a required app role", async () => {
+        const res = await request(app)
+            .get("/admin")
+            .set("Authorization", `Bearer ${appOnlyToken(["Todolist.Read.All"])}`);
+
+        expect(res.statusCode).toBe(403);
+    });
+
+    it("should reject delegated callers on app-only routes", async () => {
+        const res = await request(app)
+            .get("/admin")
+            .set("Authorization", `Bearer ${delegatedToken("Todolist.ReadWrite")}`);
+
+        expect(res.statusCode).toBe(403);
+    });
+});
+
+describe("Web API on-behalf-of token acquisition tests", () => {
+    const signingKey = generateTestKeyPair("test-kid-1");
+
+    let app: express.Express;
+    let authProvider: WebApiAuthProvider;
+    let cacheClient: InMemoryCacheClient;
+    let tokenRequestStub: sinon.SinonStub;
+
+    beforeAll(async () => {
+        sinon.stub(FetchManager, "fetchSigningKeys").resolves([signingKey.publicJwk]);
+
+        cacheClient = new InMemoryCacheClient();
+
+        // stands in for the token endpoint, which assigns the home account ID <oid>.<tid> to the user, or <sub>.<tid> without an oid
+        tokenRequestStub = sinon.stub().callsFake(async (_url: string, options: { body: string }) => {
+            const assertion = new URLSearchParams(options.body).get("assertion") as string;
+            const { oid, sub, tid } = JSON.parse(Buffer.from(assertion.split(".")[1], "base64url").toString());
+            const userId = oid || sub;
+
+            return {
+                status: 200,
+                headers: {},
+                body: {
+                    token_type: "Bearer",
+                    scope: TEST_CONSTANTS.DEFAULT_GRAPH_SCOPE.join(" "),
+                    expires_in: 3600,
+                    ext_expires_in: 3600,
+                    access_token: `${TEST_CONSTANTS.ACCESS_TOKEN}-${userId}`,
+                    client_info: Buffer.from(JSON.stringify({ uid: userId, utid: tid })).toString("base64url"),
+                },
+            };
+        });
+
+        authProvider = await WebApiAuthProvider.initialize({
+            auth: {
+                ...TEST_WEB_API_AUTH_CONFIG.auth,
+                clientSecret: TEST_CONSTANTS.CLIENT_SECRET,
+            },
+            cache: { cacheClient },
+            system: {
+                networkClient: {
+                    sendGetRequestAsync: sinon.stub().rejects(new Error("Unexpected GET request")),
+                    sendPostRequestAsync: tokenRequestStub,
+                },
+            },
+        });
+
+        app = express();
+        app.use(authProvider.authenticate());
+        app.get("/profile", async (req: Request, res: Response, next: NextFunction) => {
+            const tokenResponse = await (req as unknown as WebApiRequest).authContext.acquireTokenOnBehalfOf({
+                scopes: TEST_CONSTANTS.DEFAULT_GRAPH_SCOPE,
+            })(req, res, next) as unknown as AuthenticationResult | void;
+
+            if (tokenResponse) {
+                res.json({ accessToken: tokenResponse.accessToken });
+            }
+        });
+        app.use(authProvider.interactionErrorHandler());
+    });
+
+    afterAll(() => {
+        sinon.restore();
+    });
+
+    it("should exchange the incoming token once per user and assertion", async () => {
+        const { oid } = getTestAccessTokenClaims();
+        const token = signTestToken(signingKey, getTestAccessTokenClaims());
+
+        for (let i = 0; i < 2; i++) {
+            const res = await request(app)
+                .get("/profile")
+                .set("Authorization", `Bearer ${token}`);
+
+            expect(res.statusCode).toBe(200);
+            expect(res.body.accessToken).toBe(`${TEST_CONSTANTS.ACCESS_TOKEN}-${oid}`);
+        }
+
+        expect(tokenRequestStub.calledOnce).toBe(true);
+
+        const res = await request(app)
+            .get("/profile")
+            .set("Authorization", `Bearer ${signTestToken(signingKey, getTestAccessTokenClaims({ oid: "another-user" }))}`);
+
+        expect(res.body.accessToken).toBe(`${TEST_CONSTANTS.ACCESS_TOKEN}-another-user`);
+        expect(tokenRequestStub.calledTwice).toBe(true);
+    });
+
+    it("should keep the tokens in the cache partition of the user only", async () => {
+        const { oid, tid } = getTestAccessTokenClaims({ oid: "partitioned-user" });
+
+        await request(app)
+            .get("/profile")
+            .set("Authorization", `Bearer ${signTestToken(signingKey, getTestAccessTokenClaims({ oid }))}`);
+
+        expect(await cacheClient.get(`${oid}.${tid}`)).toContain(`${TEST_CONSTANTS.ACCESS_TOKEN}-${oid}`);
+        expect(Object.keys(authProvider.getMsalClient().getTokenCache().getKVStore()).filter((key) => key.includes(oid as string))).toEqual([]);
+    });
+
+    it("should partition the tokens of users without an oid claim by their sub claim", async () => {
+        const { tid } = getTestAccessTokenClaims();
+        const subjects = ["b2c-user-1", "b2c-user-2"];
+
+        for (const sub of subjects) {
+            const res = await request(app)
+                .get("/profile")
+                .set("Authorization", `Bearer ${signTestToken(signingKey, getTestAccessTokenClaims({ oid: undefined, sub }))}`);
+
+            expect(res.body.accessToken).toBe(`${TEST_CONSTANTS.ACCESS_TOKEN}-${sub}`);
+        }
+
+        expect(await cacheClient.get(`${subjects[0]}.${tid}`)).toContain(`${TEST_CONSTANTS.ACCESS_TOKEN}-${subjects[0]}`);
+        expect(await cacheClient.get(`${subjects[1]}.${tid}`)).toContain(`${TEST_CONSTANTS.ACCESS_TOKEN}-${subjects[1]}`);
+        expect(await cacheClient.get(`${subjects[0]}.${tid}`)).not.toContain(`${TEST_CONSTANTS.ACCESS_TOKEN}-${subjects[1]}`);
+        expect(await cacheClient.get(`${subjects[1]}.${tid}`)).not.toContain(`${TEST_CONSTANTS.ACCESS_TOKEN}-${subjects[0]}`);
+        expect(await cacheClient.get(`undefined.${tid}`)).toBe("");
+    });
+
+    it("should not cache the tokens of callers without an oid or a sub claim", async () => {
+        const setSpy = sinon.spy(cacheClient, "set");
+
+        const res = await request(app)
+            .get("/profile")
+            .set("Authorization", `Bearer ${signTestToken(signingKey, getTestAccessTokenClaims({ oid: undefined, sub: undefined }))}`);
+
+        expect(res.statusCode).toBe(200);
+        expect(setSpy.called).toBe(false);
+        expect(Object.keys(authProvider.getMsalClient().getTokenCache().getKVStore()).filter((key) => key.includes("undefined"))).toEqual([]);
+
+        setSpy.restore();
+    });
+
+    it("should send claims challenges back to the client", async () => {
+        const claims = "{\"access_token\":{\"acrs\":{\"essential\":true,\"value\":\"c1\"}}}";
+
+        const oboStub = sinon.stub(ConfidentialClientApplication.prototype, "acquireTokenOnBehalfOf").rejects(new InteractionRequiredAuthError(
+            "interaction_required",
+            "AADSTS50076: multi-factor authentication required",
+            undefined, undefined, undefined, undefined,
+            claims
+        ));
+
+        const res = await request(app)
+            .get("/profile")
+            .set("Authorization", `Bearer ${signTestToken(signingKey, getTestAccessTokenClaims({ oid: "mfa-user" }))}`);
+
+        expect(res.statusCode).toBe(401);
+        expect(res.headers["www-authenticate"]).toContain("error=\"insufficient_claims\"");
+        expect(res.headers["www-authenticate"]).toContain(`claims="${Buffer.from(claims).toString("base64")}"`);
+
+        oboStub.restore();
+    });
+});
@@ -0,0 +1,1253 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+import { createHash } from "crypto";
+import request from "supertest";
+import sinon from "sinon";
+import { AxiosError } from "axios";
+import { NextFunction, Request, Response } from "express";
+import { AuthError, AuthenticationResult, ConfidentialClientApplication, InteractionRequiredAuthError } from "@azure/msal-node";
+import { WebAppAuthProvider } from "../../src/provider/WebAppAuthProvider";
+import { AuthContext, RequestContext } from "../../src/middleware/context/AuthContext";
+import { FetchManager } from "../../src/network/FetchManager";
+import { ClaimsChallengeError } from "../../src/error/ClaimsChallengeError";
+import { InteractionRequiredError } from "../../src/error/InteractionRequiredError";
+import { AccessDeniedError } from "../../src/error/AccessDeniedError";
+import { AccessControlConstants, BackChannelLogoutConstants, ConfigurationErrorMessages, ErrorMessages } from "../../src/utils/Constants";
+import { WebAppAuthConfig } from "../../src/config/ConfigurationTypes";
+import { InMemoryCacheClient } from "../../src/cache/InMemoryCacheClient";
+import { AccessDeniedHandlerOptions, RouteGuardOptions } from "../../src/middleware/MiddlewareOptions";
+import { TEST_CONSTANTS, TEST_WEB_APP_AUTH_CONFIG } from "../TestConstants";
+import { createTestWebApp, generateTestKeyPair, getRedirectParams, signTestToken } from "../TestUtils";
+
+const TEST_TOKEN_RESPONSE = {
+    accessToken: TEST_CONSTANTS.ACCESS_TOKEN,
+    idTokenClaims: TEST_CONSTANTS.ID_TOKEN_CLAIMS,
+    account: {
+        homeAccountId: `${TEST_CONSTANTS.ID_TOKEN_CLAIMS.oid}.${TEST_CONSTANTS.ID_TOKEN_CLAIMS.tid}`,
+        environment: TEST_CONSTANTS.DEFAULT_AUTHORITY_HOST,
+        tenantId: TEST_CONSTANTS.ID_TOKEN_CLAIMS.tid,
+        username: TEST_CONSTANTS.ID_TOKEN_CLAIMS.preferred_username,
+        localAccountId: TEST_CONSTANTS.ID_TOKEN_CLAIMS.oid,
+        idTokenClaims: TEST_CONSTANTS.ID_TOKEN_CLAIMS,
+    },
+} as unknown as AuthenticationResult;
+
+/**
+ * Stubs the code redemption with a token response for an ID token with the given claims
+ */
+const stubAcquireTokenByCode = (idTokenClaims: Record<string, unknown>): sinon.SinonStub => {
+    return sinon.stub(ConfidentialClientApplication.prototype, "acquireTokenByCode").resolves({
+        ...TEST_TOKEN_RESPONSE,
+        idTokenClaims,
+        account: { ...TEST_TOKEN_RESPONSE.account, idTokenClaims },
+    } as unknown as AuthenticationResult);
+};
+
+/**
+ * Completes the login that the agent has been redirected to, by posting a code to the redirect route
+ * that is redeemed for an ID token with the given claims
+ */
+const completeLogin = async (
+    agent: request.SuperAgentTest,
+    loginLocation: string,
+    idTokenClaims: Record<string, unknown> = TEST_CONSTANTS.ID_TOKEN_CLAIMS
+) => {
+    const authParams = getRedirectParams(loginLocation);
+    const acquireTokenByCodeStub = stubAcquireTokenByCode(idTokenClaims);
+
+    try {
+        const redirectResponse = await agent.post("/redirect").type("form").send({
+            code: TEST_CONSTANTS.AUTHORIZATION_CODE,
+            state: authParams.get("state"),
+        });
+
+        return { authParams, redirectResponse, acquireTokenByCodeStub };
+    } finally {
+        acquireTokenByCodeStub.restore();
+    }
+};
+
+/**
+ * Signs the agent in through a login route, with an ID token that has the given claims
+ */
+const signIn = async (
+    agent: request.SuperAgentTest,
+    idTokenClaims: Record<string, unknown> = TEST_CONSTANTS.ID_TOKEN_CLAIMS,
+    loginRoute = "/signin"
+) => {
+    return completeLogin(agent, (await agent.get(loginRoute)).headers.location, idTokenClaims);
+};
+
+// express recognizes error handlers by their arity, so the unused next parameter is needed
+// eslint-disable-next-line @typescript-eslint/no-unused-vars
+const reportErrors = (err: AuthError, _req: Request, res: Response, _next: NextFunction) => {
+    res.status(400).json({ errorCode: err.errorCode, errorMessage: err.message, requirement: (err as AccessDeniedError).requirement });
+};
+
+describe("Web app PKCE tests", () => {
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it("should send a code challenge and redeem its verifier exactly once", async () => {
+        const authProvider = await WebAppAuthProvider.initialize(TEST_WEB_APP_AUTH_CONFIG);
+        const agent = request.agent(createTestWebApp(authProvider, () => undefined));
+
+        const { authParams, redirectResponse, acquireTokenByCodeStub } = await signIn(agent);
+
+        expect(authParams.get("code_challenge_method")).toBe("S256");
+        expect(redirectResponse.statusCode).toBe(302);
+        expect(acquireTokenByCodeStub.calledOnce).toBe(true);
+
+        const { codeVerifier } = acquireTokenByCodeStub.firstCall.args[0];
+        expect(createHash("sha256").update(codeVerifier).digest("base64url")).toBe(authParams.get("code_challenge"));
+
+        // replaying the same response must not redeem the verifier again
+        const replayStub = stubAcquireTokenByCode(TEST_CONSTANTS.ID_TOKEN_CLAIMS);
+        const replayResponse = await agent.post("/redirect").type("form").send({
+            code: TEST_CONSTANTS.AUTHORIZATION_CODE,
+            state: authParams.get("state"),
+        });
+
+        expect(replayResponse.statusCode).toBe(500);
+        expect(replayStub.called).toBe(false);
+    });
+
+    it("should not use PKCE when disabled", async () => {
+        const authProvider = await WebAppAuthProvider.initialize({
+            ...TEST_WEB_APP_AUTH_CONFIG,
+            security: { pkce: false },
+        });
+
+        const loginResponse = await request(createTestWebApp(authProvider, () => undefined)).get("/signin");
+
+        expect(getRedirectParams(loginResponse.headers.location).has("code_challenge")).toBe(false);
+    });
+});
+
+describe("Web app redirect validation tests", () => {
+    let agent: request.SuperAgentTest;
+
+    beforeEach(async () => {
+        const authProvider = await WebAppAuthProvider.initialize(TEST_WEB_APP_AUTH_CONFIG);
+
+        agent = request.agent(createTestWebApp(authProvider, (app) => app.use(reportErrors)));
+    });
+
+    it("should accept the response to a pending login request", async () => {
+        const { redirectResponse } = await signIn(agent);
+
+        expect(redirectResponse.statusCode).toBe(302);
+        expect(redirectResponse.headers.location).toBe("/profile");
+    });
+
+    it("should reject a response with a mismatched state", async () => {
+        const authParams = getRedirectParams((await agent.get("/signin")).headers.location);
+        const forgedState = Buffer.from(JSON.stringify({
+            ...JSON.parse(Buffer.from(authParams.get("state") as string, "base64").toString()),
+            redirectTo: "https://contoso.com",
+        })).toString("base64");
+
+        const res = await agent.post("/redirect").type("form").send({
+            code: TEST_CONSTANTS.AUTHORIZATION_CODE,
+            state: forgedState,
+        });
+
+        expect(res.body.errorCode).toBe("csrf_token_mismatch");
+    });
+
+    it("should reject a replayed response", async () => {
+        const { authParams } = await signIn(agent);
+
+        const res = await agent.post("/redirect").type("form").send({
+            code: TEST_CONSTANTS.AUTHORIZATION_CODE,
+            state: authParams.get("state"),
+        });
+
+        expect(res.body.errorCode).toBe("state_not_found");
+    });
+
+    it("should reject a response without a pending login request", async () => {
+        const res = await agent.post("/redirect").type("form").send({
+            code: TEST_CONSTANTS.AUTHORIZATION_CODE,
+            state: "unsolicited",
+        });
+
+        expect(res.body.errorCode).toBe("state_not_found");
+    });
+});
+
+describe("Web app nonce validation tests", () => {
+    const signingKey = generateTestKeyPair("test-kid-1");
+
+    let idTokenNonce: string | null;
+    let agent: request.SuperAgentTest;
+    let cacheClient: InMemoryCacheClient;
+
+    beforeEach(async () => {
+        const { oid, tid } = TEST_CONSTANTS.ID_TOKEN_CLAIMS;
+
+        cacheClient = new InMemoryCacheClient();
+
+        const authProvider = await WebAppAuthProvider.initialize({
+            ...TEST_WEB_APP_AUTH_CONFIG,
+            cache: { cacheClient },
+            system: {
+                // stands in for the token endpoint, so that the ID token goes through the checks of MSAL
+                networkClient: {
+                    sendGetRequestAsync: sinon.stub().rejects(new Error("Unexpected GET request")),
+                    sendPostRequestAsync: sinon.stub().callsFake(async () => ({
+                        status: 200,
+                        headers: {},
+                        body: {
+                            token_type: "Bearer",
+                            scope: TEST_CONSTANTS.DEFAULT_GRAPH_SCOPE.join(" "),
+                            expires_in: 3600,
+                            ext_expires_in: 3600,
+                            access_token: TEST_CONSTANTS.ACCESS_TOKEN,
+                            id_token: signTestToken(signingKey, { ...TEST_CONSTANTS.ID_TOKEN_CLAIMS, nonce: idTokenNonce }),
+                            client_info: Buffer.from(JSON.stringify({ uid: oid, utid: tid })).toString("base64url"),
+                        },
+                    })),
+                },
+            },
+        } as WebAppAuthConfig);
+
+        agent = request.agent(createTestWebApp(authProvider, (app) => app.use(reportErrors)));
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    const redeemCode = async (getIdTokenNonce: (loginNonce: string | null) => string | null) => {
+        const authParams = getRedirectParams((await agent.get("/signin")).headers.location);
+        idTokenNonce = getIdTokenNonce(authParams.get("nonce"));
+
+        return agent.post("/redirect").type("form").send({
+            code: TEST_CONSTANTS.AUTHORIZATION_CODE,
+            state: authParams.get("state"),
+        });
+    };
+
+    it("should accept an ID token with the nonce of the login request", async () => {
+        const res = await redeemCode((loginNonce) => loginNonce);
+
+        expect(res.statusCode).toBe(302);
+        expect(res.headers.location).toBe("/profile");
+    });
+
+    it("should reject an ID token with a mismatched nonce without caching its tokens", async () => {
+        const setSpy = sinon.spy(cacheClient, "set");
+
+        const res = await redeemCode(() => "another-nonce");
+
+        expect(res.body.errorCode).toBe("nonce_mismatch");
+        expect(setSpy.called).toBe(false);
+    });
+});
+
+describe("Web app redirect allowlist tests", () => {
+    const signInAndRedirect = async (authProvider: WebAppAuthProvider, postLoginRedirectUri: string) => {
+        const agent = request.agent(createTestWebApp(authProvider, (app) => {
+            app.get("/signin-to", (req, res, next) => req.authContext.login({
+                postLoginRedirectUri,
+                scopes: [],
+            })(req, res, next));
+        }));
+
+        const { redirectResponse } = await signIn(agent, TEST_CONSTANTS.ID_TOKEN_CLAIMS, "/signin-to");
+
+        return redirectResponse;
+    };
+
+    it("should not redirect to another origin after login", async () => {
+        const authProvider = await WebAppAuthProvider.initialize(TEST_WEB_APP_AUTH_CONFIG);
+
+        const res = await signInAndRedirect(authProvider, "//contoso.com/phish");
+
+        expect(res.headers.location).toBe("/");
+    });
+
+    it("should redirect to an allowed origin after login", async () => {
+        const authProvider = await WebAppAuthProvider.initialize({
+            ...TEST_WEB_APP_AUTH_CONFIG,
+            security: { allowedRedirects: { origins: ["https://contoso.com"] } },
+        });
+
+        const res = await signInAndRedirect(authProvider, "https://contoso.com/home");
+
+        expect(res.headers.location).toBe("https://contoso.com/home");
+    });
+
+    it("should redirect to the fallback URI after logout if the path is not allowed", async () => {
+        const authProvider = await WebAppAuthProvider.initialize({
+            ...TEST_WEB_APP_AUTH_CONFIG,
+            security: { allowedRedirects: { paths: ["/public"], fallbackUri: "/public/home" } },
+        });
+
+        const app = createTestWebApp(authProvider, (app) => {
+            app.get("/signout", (req, res, next) => req.authContext.logout({
+                postLogoutRedirectUri: "/admin",
+            })(req, res, next));
+        });
+
+        const res = await request(app).get("/signout");
+
+        expect(decodeURIComponent(res.headers.location)).toContain("post_logout_redirect_uri=http://127.0.0.1");
+        expect(decodeURIComponent(res.headers.location)).toContain("/public/home");
+    });
+});
+
+describe("Web app groups overage tests", () => {
+    const OVERAGE_CLAIMS = {
+        ...TEST_CONSTANTS.ID_TOKEN_CLAIMS,
+        _claim_names: { groups: "src1" },
+        _claim_sources: { src1: { endpoint: "https://graph.windows.net/tenant/users/oid/getMemberObjects" } },
+    };
+
+    let callApiStub: sinon.SinonStub;
+
+    beforeEach(() => {
+        sinon.stub(ConfidentialClientApplication.prototype, "acquireTokenSilent").resolves(TEST_TOKEN_RESPONSE);
+
+        callApiStub = sinon.stub(FetchManager, "callApiEndpointWithToken").callsFake(async (endpoint: string) => {
+            return endpoint === AccessControlConstants.GRAPH_MEMBERS_ENDPOINT
+                ? { value: [{ id: "GROUP_1" }], "@odata.nextLink": "https://graph.microsoft.com/v1.0/me/memberOf?$skiptoken=1" }
+                : { value: [{ id: "GROUP_2" }] };
+        });
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    const signInWithRequiredGroups = async (requiredGroups: string[]) => {
+        const authProvider = await WebAppAuthProvider.initialize(TEST_WEB_APP_AUTH_CONFIG);
+
+        const agent = request.agent(createTestWebApp(authProvider, (app) => {
+            app.get("/admin", authProvider.guard({ idTokenClaims: { groups: requiredGroups } }), (req, res) => {
+                res.json({ groups: req.authContext.getGroups() });
+            });
+            app.use(reportErrors);
+        }));
+
+        await signIn(agent, OVERAGE_CLAIMS);
+
+        return agent;
+    };
+
+    it("should resolve groups from all pages of Microsoft Graph and cache them in the session", async () => {
+        const agent = await signInWithRequiredGroups(["GROUP_2"]);
+
+        const res = await agent.get("/admin");
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.groups).toEqual(["GROUP_1", "GROUP_2"]);
+        expect(callApiStub.calledTwice).toBe(true);
+
+        await agent.get("/admin");
+
+        expect(callApiStub.calledTwice).toBe(true);
+    });
+
+    it("should deny access if the resolved groups do not include a required group", async () => {
+        const agent = await signInWithRequiredGroups(["GROUP_3"]);
+
+        const res = await agent.get("/admin");
+
+        expect(res.statusCode).toBe(400);
+        expect(res.body.errorCode).toBe("403");
+    });
+
+    it("should resolve groups again once the cached groups have expired", async () => {
+        const agent = await signInWithRequiredGroups(["GROUP_1"]);
+        const clock = sinon.useFakeTimers({ now: Date.now(), toFake: ["Date"] });
+
+        await agent.get("/admin");
+        clock.tick((AccessControlConstants.GROUPS_CACHE_TTL + 1) * 1000);
+        await agent.get("/admin");
+
+        expect(callApiStub.callCount).toBe(4);
+    });
+});
+
+describe("Web app access matrix tests", () => {
+    const ACCESS_MATRIX = {
+        todolist: {
+            path: "/todolist",
+            methods: {
+                GET: { roles: ["TaskUser", "TaskAdmin"] },
+                POST: { roles: ["TaskUser", "TaskAdmin"] },
+                DELETE: { roles: ["TaskAdmin"] },
+            },
+        },
+        dashboard: {
+            path: "/dashboard/*",
+            methods: {
+                GET: { roles: ["TaskAdmin"], groups: ["GROUP_ADMINS"] },
+            },
+        },
+    };
+
+    const signInWithRoles = async (roles: string[], groups: string[] = []) => {
+        const authProvider = await WebAppAuthProvider.initialize({
+            ...TEST_WEB_APP_AUTH_CONFIG,
+            accessMatrix: ACCESS_MATRIX,
+        } as WebAppAuthConfig);
+
+        const agent = request.agent(createTestWebApp(authProvider, (app) => {
+            app.use(["/todolist", "/dashboard", "/reports"], authProvider.accessControl());
+            app.all(["/todolist", "/dashboard/*", "/reports"], (_req, res) => res.sendStatus(200));
+            app.use(reportErrors);
+        }));
+
+        await signIn(agent, { ...TEST_CONSTANTS.ID_TOKEN_CLAIMS, roles, groups });
+
+        return agent;
+    };
+
+    it("should allow each method only to the roles listed for it", async () => {
+        const userAgent = await signInWithRoles(["TaskUser"]);
+
+        expect((await userAgent.get("/todolist")).statusCode).toBe(200);
+        expect((await userAgent.post("/todolist")).statusCode).toBe(200);
+        expect((await userAgent.delete("/todolist")).body.errorCode).toBe("403");
+        expect((await userAgent.get("/dashboard/reports")).body.errorCode).toBe("403");
+
+        const adminAgent = await signInWithRoles(["TaskAdmin"]);
+
+        expect((await adminAgent.delete("/todolist")).statusCode).toBe(200);
+        expect((await adminAgent.get("/dashboard/reports")).statusCode).toBe(200);
+    });
+
+    it("should allow a method to users with one of the roles or one of the groups listed for it", async () => {
+        const groupAgent = await signInWithRoles([], ["GROUP_ADMINS"]);
+
+        expect((await groupAgent.get("/dashboard/reports")).statusCode).toBe(200);
+        expect((await groupAgent.delete("/todolist")).body.errorCode).toBe("403");
+
+        const userAgent = await signInWithRoles(["TaskUser"], ["GROUP_USERS"]);
+        const res = await userAgent.get("/dashboard/reports");
+
+        expect(res.body.errorCode).toBe("403");
+        expect(res.body.requirement).toEqual({ claims: { roles: ["TaskAdmin"], groups: ["GROUP_ADMINS"] } });
+    });
+
+    it("should apply the rule for GET to HEAD requests", async () => {
+        const userAgent = await signInWithRoles(["TaskUser"]);
+
+        expect((await userAgent.head("/todolist")).statusCode).toBe(200);
+        expect((await userAgent.head("/dashboard/reports")).statusCode).toBe(400);
+    });
+
+    it("should deny methods that are not listed for a route", async () => {
+        const agent = await signInWithRoles(["TaskAdmin"]);
+
+        const res = await agent.put("/todolist");
+
+        expect(res.statusCode).toBe(400);
+        expect(res.body.errorCode).toBe("403");
+    });
+
+    it("should report routes without a matching rule", async () => {
+        const agent = await signInWithRoles(["TaskAdmin"]);
+
+        const res = await agent.get("/reports");
+
+        expect(res.body.errorMessage).toBe(ErrorMessages.RULE_NOT_FOUND);
+    });
+
+    it("should deny unauthenticated requests", async () => {
+        const authProvider = await WebAppAuthProvider.initialize({
+            ...TEST_WEB_APP_AUTH_CONFIG,
+            accessMatrix: ACCESS_MATRIX,
+        } as WebAppAuthConfig);
+
+        const app = createTestWebApp(authProvider, (app) => {
+            app.use("/todolist", authProvider.accessControl());
+            app.use(reportErrors);
+        });
+
+        expect((await request(app).get("/todolist")).body.errorCode).toBe("401");
+    });
+
+    it("should throw if no access matrix is configured", async () => {
+        const authProvider = await WebAppAuthProvider.initialize(TEST_WEB_APP_AUTH_CONFIG);
+
+        expect(() => authProvider.accessControl()).toThrow(ConfigurationErrorMessages.NO_ACCESS_MATRIX_CONFIGURED);
+    });
+});
+
+describe("Web app route guard tests", () => {
+    const ID_TOKEN_CLAIMS = { ...TEST_CONSTANTS.ID_TOKEN_CLAIMS, roles: ["TaskAdmin"] };
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    const signInWithGuard = async (options: RouteGuardOptions) => {
+        const authProvider = await WebAppAuthProvider.initialize(TEST_WEB_APP_AUTH_CONFIG);
+
+        const agent = request.agent(createTestWebApp(authProvider, (app) => {
+            app.get("/admin", authProvider.guard(options), (_req, res) => res.sendStatus(200));
+            app.use(reportErrors);
+        }));
+
+        await signIn(agent, ID_TOKEN_CLAIMS);
+
+        return agent;
+    };
+
+    it("should match numeric claims", async () => {
+        const allowedAgent = await signInWithGuard({ idTokenClaims: { iat: TEST_CONSTANTS.ID_TOKEN_CLAIMS.iat } });
+        expect((await allowedAgent.get("/admin")).statusCode).toBe(200);
+
+        const deniedAgent = await signInWithGuard({ idTokenClaims: { iat: { gt: TEST_CONSTANTS.ID_TOKEN_CLAIMS.iat } } });
+        expect((await deniedAgent.get("/admin")).body.errorCode).toBe("403");
+    });
+
+    it("should evaluate custom predicates with the claims and the request", async () => {
+        const predicate = sinon.stub().resolves(true);
+        const agent = await signInWithGuard({
+            idTokenClaims: { roles: ["TaskAdmin"] },
+            predicate: (claims, req) => predicate(claims.tid, req.query.tenant),
+        });
+
+        expect((await agent.get("/admin?tenant=X")).statusCode).toBe(200);
+        expect(predicate.calledOnceWith(TEST_CONSTANTS.ID_TOKEN_CLAIMS.tid, "X")).toBe(true);
+
+        predicate.resolves(false);
+        expect((await agent.get("/admin")).body.errorCode).toBe("403");
+    });
+
+    it("should pass errors thrown by custom predicates to the error handler", async () => {
+        const agent = await signInWithGuard({
+            predicate: () => {
+                throw new Error("Predicate failed");
+            },
+        });
+
+        expect((await agent.get("/admin")).body.errorMessage).toBe("Predicate failed");
+    });
+
+    it("should step up authentication for a required authentication context and return to the route", async () => {
+        const agent = await signInWithGuard({ requiredAuthContext: "c1" });
+
+        const { authParams, redirectResponse } = await signIn(agent, { ...ID_TOKEN_CLAIMS, acrs: ["c1"] }, "/admin?period=q1");
+
+        expect(JSON.parse(authParams.get("claims") as string)).toMatchObject({
+            id_token: { acrs: { essential: true, value: "c1" } },
+        });
+        expect(authParams.get("login_hint")).toBe(TEST_CONSTANTS.ID_TOKEN_CLAIMS.preferred_username);
+        expect(redirectResponse.headers.location).toBe("/admin?period=q1");
+        expect((await agent.get("/admin?period=q1")).statusCode).toBe(200);
+    });
+
+    it("should deny access instead of stepping up again if the authentication context is still not satisfied", async () => {
+        const agent = await signInWithGuard({ requiredAuthContext: "c1" });
+
+        const { redirectResponse } = await signIn(agent, ID_TOKEN_CLAIMS, "/admin");
+        expect(redirectResponse.headers.location).toBe("/admin");
+
+        expect((await agent.get("/admin")).body.errorCode).toBe("403");
+
+        // the user may try to step up again later
+        expect((await agent.get("/admin")).headers.location).toContain("/oauth2/v2.0/authorize");
+    });
+});
+
+describe("Web app claims challenge tests", () => {
+    const CLAIMS = "{\"access_token\":{\"nbf\":{\"essential\":true,\"value\":\"1604106651\"}}}";
+    const CHALLENGE_HEADER = `Bearer error="insufficient_claims", claims="${Buffer.from(CLAIMS).toString("base64")}"`;
+
+    let acquireTokenSilentStub: sinon.SinonStub;
+    let isChallenged: boolean;
+
+    beforeEach(() => {
+        isChallenged = true;
+        acquireTokenSilentStub = sinon.stub(ConfidentialClientApplication.prototype, "acquireTokenSilent").resolves(TEST_TOKEN_RESPONSE);
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it("should request the challenged claims on login and replay them with the next token request", async () => {
+        const authProvider = await WebAppAuthProvider.initialize(TEST_WEB_APP_AUTH_CONFIG);
+
+        const agent = request.agent(createTestWebApp(authProvider, (app) => {
+            app.get("/profile", async (req, res, next) => {
+                await req.authContext.acquireToken({ scopes: ["User.Read"] })(req, res, next);
+
+                if (isChallenged) {
+                    return next(ClaimsChallengeError.createFromHeader(CHALLENGE_HEADER, "https://graph.microsoft.com/v1.0/me"));
+                }
+
+                res.sendStatus(200);
+            });
+            app.use(authProvider.interactionErrorHandler());
+        }));
+
+        await signIn(agent);
+
+        // the resource rejects the token, so the user signs in again with the challenged claims
+        const { authParams, redirectResponse } = await signIn(agent, TEST_CONSTANTS.ID_TOKEN_CLAIMS, "/profile");
+        isChallenged = false;
+
+        // MSAL adds the client capabilities to the claims request
+        expect(JSON.parse(authParams.get("claims") as string)).toMatchObject(JSON.parse(CLAIMS));
+        expect(acquireTokenSilentStub.firstCall.args[0].claims).toBeUndefined();
+        expect(redirectResponse.headers.location).toBe("/profile");
+
+        expect((await agent.get("/profile")).statusCode).toBe(200);
+        expect(acquireTokenSilentStub.secondCall.args[0].claims).toBe(CLAIMS);
+
+        // claims are replayed only once
+        await agent.get("/profile");
+        expect(acquireTokenSilentStub.thirdCall.args[0].claims).toBeUndefined();
+    });
+
+    it("should throw a claims challenge error when a resource responds with a claims challenge", async () => {
+        sinon.stub(FetchManager, "callApiEndpoint").rejects(Object.assign(new AxiosError("Unauthorized"), {
+            response: { status: 401, headers: { "www-authenticate": CHALLENGE_HEADER } },
+        }));
+
+        const error = await FetchManager.callApiEndpointWithToken("https://graph.microsoft.com/v1.0/me", TEST_CONSTANTS.ACCESS_TOKEN)
+            .catch((e) => e);
+
+        expect(error).toBeInstanceOf(ClaimsChallengeError);
+        expect(error.claims).toBe(CLAIMS);
+        expect(error.resource).toBe("https://graph.microsoft.com");
+    });
+});
+
+describe("Web app B2C policy tests", () => {
+    const B2C_AUTHORITY_HOST = "https://contoso.b2clogin.com/contoso.onmicrosoft.com";
+
+    const TEST_B2C_AUTH_CONFIG: WebAppAuthConfig = {
+        auth: {
+            ...TEST_WEB_APP_AUTH_CONFIG.auth,
+            authority: `${B2C_AUTHORITY_HOST}/B2C_1_susi`,
+            knownAuthorities: ["contoso.b2clogin.com"],
+            authorityMetadata: undefined,
+            cloudDiscoveryMetadata: undefined,
+        },
+        policies: {
+            signUpSignIn: `${B2C_AUTHORITY_HOST}/B2C_1_susi`,
+            resetPassword: `${B2C_AUTHORITY_HOST}/B2C_1_reset`,
+            editProfile: `${B2C_AUTHORITY_HOST}/B2C_1_edit`,
+        },
+    };
+
+    let agent: request.SuperAgentTest;
+    let getAuthCodeUrlStub: sinon.SinonStub;
+
+    beforeEach(async () => {
+        const authProvider = await WebAppAuthProvider.initialize(TEST_B2C_AUTH_CONFIG);
+
+        agent = request.agent(createTestWebApp(authProvider, (app) => {
+            app.get("/profile/edit", (req, res, next) => req.authContext.login({
+                postLoginRedirectUri: "/profile",
+                scopes: [],
+                policy: "editProfile",
+            })(req, res, next));
+            app.get("/signup", (req, res, next) => req.authContext.login({ scopes: [], policy: "signUp" })(req, res, next));
+            app.use(reportErrors);
+        }));
+
+        // B2C metadata is not prefetched, so the authorization URL is built without MSAL resolving the authority
+        getAuthCodeUrlStub = sinon.stub(ConfidentialClientApplication.prototype, "getAuthCodeUrl").callsFake(async (authUrlRequest) => {
+            const authParams = new URLSearchParams({ state: authUrlRequest.state as string, nonce: authUrlRequest.nonce as string });
+            return `${authUrlRequest.authority || TEST_B2C_AUTH_CONFIG.auth.authority}/oauth2/v2.0/authorize?${authParams}`;
+        });
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it("should start the policy selected for the login request and redeem the code with it", async () => {
+        const { redirectResponse, acquireTokenByCodeStub } = await signIn(agent, TEST_CONSTANTS.ID_TOKEN_CLAIMS, "/profile/edit");
+
+        expect(getAuthCodeUrlStub.lastCall.args[0].authority).toBe(TEST_B2C_AUTH_CONFIG.policies?.editProfile);
+        expect(acquireTokenByCodeStub.lastCall.args[0].authority).toBe(TEST_B2C_AUTH_CONFIG.policies?.editProfile);
+        expect(redirectResponse.headers.location).toBe("/profile");
+    });
+
+    it("should start the password reset policy if the user has forgotten their password", async () => {
+        const authParams = getRedirectParams((await agent.get("/signin")).headers.location);
+
+        expect(getAuthCodeUrlStub.lastCall.args[0].authority).toBeUndefined();
+
+        const resetResponse = await agent.post("/redirect").type("form").send({
+            error: "access_denied",
+            error_description: "AADB2C90118: The user has forgotten their password.",
+            state: authParams.get("state"),
+        });
+
+        expect(resetResponse.headers.location).toContain(TEST_B2C_AUTH_CONFIG.policies?.resetPassword);
+
+        const { redirectResponse, acquireTokenByCodeStub } = await completeLogin(agent, resetResponse.headers.location);
+
+        expect(acquireTokenByCodeStub.lastCall.args[0].authority).toBe(TEST_B2C_AUTH_CONFIG.policies?.resetPassword);
+        expect(redirectResponse.headers.location).toBe("/profile");
+    });
+
+    it("should not start the password reset policy for a response without a pending login request", async () => {
+        const res = await agent.post("/redirect").type("form").send({
+            error: "access_denied",
+            error_description: "AADB2C90118: The user has forgotten their password.",
+            state: "unsolicited",
+        });
+
+        expect(res.body.errorCode).toBe("state_not_found");
+        expect(getAuthCodeUrlStub.called).toBe(false);
+    });
+
+    it("should report policies that are not configured", async () => {
+        const res = await agent.get("/signup");
+
+        expect(res.body.errorMessage).toBe(ConfigurationErrorMessages.NO_POLICY_CONFIGURED);
+    });
+});
+
+describe("Web app CIAM authority tests", () => {
+    const CIAM_AUTHORITY = "https://contoso.ciamlogin.com/contoso.onmicrosoft.com";
+
+    const TEST_CIAM_AUTHORITY_METADATA = {
+        token_endpoint: `https://contoso.ciamlogin.com/${TEST_CONSTANTS.TENANT_ID}/oauth2/v2.0/token`,
+        authorization_endpoint: `https://contoso.ciamlogin.com/${TEST_CONSTANTS.TENANT_ID}/oauth2/v2.0/authorize`,
+        end_session_endpoint: `https://contoso.ciamlogin.com/${TEST_CONSTANTS.TENANT_ID}/oauth2/v2.0/logout`,
+        issuer: `https://${TEST_CONSTANTS.TENANT_ID}.ciamlogin.com/${TEST_CONSTANTS.TENANT_ID}/v2.0`,
+        jwks_uri: `https://contoso.ciamlogin.com/${TEST_CONSTANTS.TENANT_ID}/discovery/v2.0/keys`,
+    };
+
+    let callApiEndpointStub: sinon.SinonStub;
+    let authProvider: WebAppAuthProvider;
+
+    beforeEach(async () => {
+        callApiEndpointStub = sinon.stub(FetchManager, "callApiEndpoint").resolves({ data: TEST_CIAM_AUTHORITY_METADATA });
+
+        authProvider = await WebAppAuthProvider.initialize({
+            auth: {
+                clientId: TEST_CONSTANTS.CLIENT_ID,
+                clientSecret: TEST_CONSTANTS.CLIENT_SECRET,
+                authority: "https://contoso.ciamlogin.com/",
+                redirectUri: "/redirect",
+            },
+        } as WebAppAuthConfig);
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it("should discover the metadata of a CIAM authority from its own host", async () => {
+        expect(callApiEndpointStub.calledOnceWith(`${CIAM_AUTHORITY}/v2.0/.well-known/openid-configuration`)).toBe(true);
+        expect(authProvider.getMsalConfig().auth.authority).toBe(CIAM_AUTHORITY);
+        expect(authProvider.getMsalConfig().auth.cloudDiscoveryMetadata).toBeUndefined();
+    });
+
+    it("should build sign-up and sign-in URLs against the CIAM authority", async () => {
+        const app = createTestWebApp(authProvider, (app) => {
+            app.get("/signup", (req, res, next) => req.authContext.login({
+                scopes: [],
+                prompt: "create",
+            })(req, res, next));
+        });
+
+        const signInUrl = new URL((await request(app).get("/signin")).headers.location);
+        const signUpUrl = new URL((await request(app).get("/signup")).headers.location);
+
+        expect(`${signInUrl.origin}${signInUrl.pathname}`).toBe(TEST_CIAM_AUTHORITY_METADATA.authorization_endpoint);
+        expect(`${signUpUrl.origin}${signUpUrl.pathname}`).toBe(TEST_CIAM_AUTHORITY_METADATA.authorization_endpoint);
+        expect(signUpUrl.searchParams.get("prompt")).toBe("create");
+    });
+
+    it("should build the logout URL against the CIAM authority", async () => {
+        const app = createTestWebApp(authProvider, (app) => {
+            app.get("/signout", (req, res, next) => req.authContext.logout({
+                postLogoutRedirectUri: "/",
+            })(req, res, next));
+        });
+
+        const res = await request(app).get("/signout");
+
+        expect(res.headers.location.startsWith(`${CIAM_AUTHORITY}/oauth2/v2.0/logout?`)).toBe(true);
+    });
+});
+
+describe("Web app back-channel logout tests", () => {
+    const ISSUER = `https://login.microsoftonline.com/${TEST_CONSTANTS.TENANT_ID}/v2.0`;
+    const SESSION_ID = "SESSION_1";
+    const signingKey = generateTestKeyPair("TEST_KEY_1");
+    const ID_TOKEN_CLAIMS = { ...TEST_CONSTANTS.ID_TOKEN_CLAIMS, iss: ISSUER, sid: SESSION_ID };
+
+    let authProvider: WebAppAuthProvider;
+    let app: ReturnType<typeof createTestWebApp>;
+
+    const getLogoutToken = (overrides: Record<string, unknown> = {}, key = signingKey) => {
+        const now = Math.floor(Date.now() / 1000);
+
+        return signTestToken(key, {
+            iss: ISSUER,
+            aud: TEST_CONSTANTS.CLIENT_ID,
+            tid: TEST_CONSTANTS.TENANT_ID,
+            iat: now,
+            exp: now + 120,
+            jti: "LOGOUT_TOKEN_1",
+            sub: TEST_CONSTANTS.ID_TOKEN_CLAIMS.sub,
+            sid: SESSION_ID,
+            events: { [BackChannelLogoutConstants.LOGOUT_EVENT]: {} },
+            ...overrides,
+        });
+    };
+
+    const signInAgent = async () => {
+        const agent = request.agent(app);
+
+        await signIn(agent, ID_TOKEN_CLAIMS);
+
+        return agent;
+    };
+
+    beforeEach(async () => {
+        sinon.stub(FetchManager, "fetchSigningKeys").resolves([signingKey.publicJwk]);
+
+        authProvider = await WebAppAuthProvider.initialize({
+            ...TEST_WEB_APP_AUTH_CONFIG,
+            auth: { ...TEST_WEB_APP_AUTH_CONFIG.auth, backChannelLogoutUri: "/backchannel-logout" },
+        } as WebAppAuthConfig);
+
+        app = createTestWebApp(authProvider, (app) => {
+            app.get("/profile", (req, res) => {
+                res.json({ isAuthenticated: req.authContext.isAuthenticated() });
+            });
+
+            app.get("/signout", (req, res, next) => req.authContext.logout({
+                postLogoutRedirectUri: "/",
+            })(req, res, next));
+        });
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    it("should destroy every session signed in with the session at the identity provider", async () => {
+        const agents = [await signInAgent(), await signInAgent()];
+
+        const res = await request(app).post("/backchannel-logout").type("form").send({
+            [BackChannelLogoutConstants.LOGOUT_TOKEN_PARAM]: getLogoutToken(),
+        });
+
+        expect(res.statusCode).toBe(200);
+        expect(res.headers["cache-control"]).toBe("no-store");
+
+        for (const agent of agents) {
+            expect((await agent.get("/profile")).body.isAuthenticated).toBe(false);
+        }
+    });
+
+    it("should remove the destroyed sessions from the entries of both their sid and their sub", async () => {
+        await signInAgent();
+
+        await request(app).post("/backchannel-logout").type("form").send({
+            [BackChannelLogoutConstants.LOGOUT_TOKEN_PARAM]: getLogoutToken({ sub: undefined }),
+        });
+
+        expect(await authProvider.getSessionIndex()?.find({ iss: ISSUER, sid: SESSION_ID })).toEqual([]);
+        expect(await authProvider.getSessionIndex()?.find({ iss: ISSUER, sub: TEST_CONSTANTS.ID_TOKEN_CLAIMS.sub })).toEqual([]);
+    });
+
+    it("should remove the session from the index when the user signs out", async () => {
+        const agent = await signInAgent();
+
+        expect(await authProvider.getSessionIndex()?.find({ iss: ISSUER, sid: SESSION_ID })).toHaveLength(1);
+
+        await agent.get("/signout");
+
+        expect(await authProvider.getSessionIndex()?.find({ iss: ISSUER, sid: SESSION_ID })).toEqual([]);
+        expect(await authProvider.getSessionIndex()?.find({ iss: ISSUER, sub: TEST_CONSTANTS.ID_TOKEN_CLAIMS.sub })).toEqual([]);
+    });
+
+    it("should destroy every session of the user if the logout token has no sid", async () => {
+        const agent = await signInAgent();
+
+        const res = await request(app).post("/backchannel-logout").type("form").send({
+            [BackChannelLogoutConstants.LOGOUT_TOKEN_PARAM]: getLogoutToken({ sid: undefined }),
+        });
+
+        expect(res.statusCode).toBe(200);
+        expect((await agent.get("/profile")).body.isAuthenticated).toBe(false);
+    });
+
+    it.each([
+        ["is not signed by the authority", getLogoutToken({}, generateTestKeyPair("TEST_KEY_1"))],
+        ["is not issued for the app", getLogoutToken({ aud: "OTHER_CLIENT_ID" })],
+        ["has no logout event", getLogoutToken({ events: {} })],
+        ["has a nonce", getLogoutToken({ nonce: "NONCE" })],
+        ["has no jti", getLogoutToken({ jti: undefined })],
+        ["identifies neither a session nor a user", getLogoutToken({ sid: undefined, sub: undefined })],
+    ])("should reject a logout token that %s", async (_description, logoutToken) => {
+        const agent = await signInAgent();
+
+        const res = await request(app).post("/backchannel-logout").type("form").send({
+            [BackChannelLogoutConstants.LOGOUT_TOKEN_PARAM]: logoutToken,
+        });
+
+        expect(res.statusCode).toBe(400);
+        expect(res.body.error).toBe("invalid_request");
+        expect((await agent.get("/profile")).body.isAuthenticated).toBe(true);
+    });
+
+    it("should reject a request without a logout token", async () => {
+        const res = await request(app).post("/backchannel-logout").type("form").send({});
+
+        expect(res.statusCode).toBe(400);
+        expect(res.body.error).toBe("invalid_request");
+    });
+});
+
+describe("Web app front-channel logout tests", () => {
+    const ISSUER = `https://login.microsoftonline.com/${TEST_CONSTANTS.TENANT_ID}/v2.0`;
+    const SESSION_ID = "SESSION_1";
+
+    let app: ReturnType<typeof createTestWebApp>;
+    let agent: ReturnType<typeof request.agent>;
+
+    beforeEach(async () => {
+        const authProvider = await WebAppAuthProvider.initialize({
+            ...TEST_WEB_APP_AUTH_CONFIG,
+            auth: { ...TEST_WEB_APP_AUTH_CONFIG.auth, frontChannelLogoutUri: "/frontchannel-logout" },
+        } as WebAppAuthConfig);
+
+        app = createTestWebApp(authProvider, (app) => {
+            app.get("/profile", (req, res) => {
+                res.json({ isAuthenticated: req.authContext.isAuthenticated() });
+            });
+        });
+
+        agent = request.agent(app);
+
+        await signIn(agent, { ...TEST_CONSTANTS.ID_TOKEN_CLAIMS, iss: ISSUER, sid: SESSION_ID });
+    });
+
+    it("should destroy the session signed in with the session at the identity provider", async () => {
+        const res = await agent.get("/frontchannel-logout").query({ sid: SESSION_ID, iss: ISSUER });
+
+        expect(res.statusCode).toBe(200);
+        expect(res.headers["content-type"]).toContain("text/html");
+        expect(res.headers["cache-control"]).toBe("no-store");
+        expect((await agent.get("/profile")).body.isAuthenticated).toBe(false);
+    });
+
+    it.each([
+        ["another session", { sid: "SESSION_2", iss: ISSUER }],
+        ["another issuer", { sid: SESSION_ID, iss: "https://login.microsoftonline.com/OTHER_TENANT/v2.0" }],
+        ["a session without an issuer", { sid: SESSION_ID }],
+        ["an issuer without a session", { iss: ISSUER }],
+        ["no session and no issuer", {}],
+    ])("should ignore a request for %s", async (_description, query) => {
+        const res = await agent.get("/frontchannel-logout").query(query);
+
+        expect(res.statusCode).toBe(200);
+        expect((await agent.get("/profile")).body.isAuthenticated).toBe(true);
+    });
+
+    it("should respond with the logout page to unauthenticated requests", async () => {
+        const res = await request(app).get("/frontchannel-logout").query({ sid: SESSION_ID, iss: ISSUER });
+
+        expect(res.statusCode).toBe(200);
+        expect(res.headers.location).toBeUndefined();
+    });
+});
+
+describe("Web app public route tests", () => {
+    let app: ReturnType<typeof createTestWebApp>;
+
+    beforeEach(async () => {
+        const authProvider = await WebAppAuthProvider.initialize(TEST_WEB_APP_AUTH_CONFIG);
+
+        app = createTestWebApp(authProvider, (app) => {
+            app.all("*", (req, res) => {
+                res.json({ isAuthenticated: req.authContext.isAuthenticated() });
+            });
+        }, {
+            protectAllRoutes: true,
+            publicRoutes: ["/", "/healthz", "/webhooks/*", /^\/assets\/.+\.css$/],
+        });
+    });
+
+    it.each([
+        ["GET", "/"],
+        ["GET", "/healthz"],
+        ["POST", "/webhooks/github"],
+        ["GET", "/assets/site.css"],
+    ])("should not require login for %s %s", async (method, path) => {
+        const res = await request(app)[method === "GET" ? "get" : "post"](path);
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.isAuthenticated).toBe(false);
+    });
+
+    it.each([
+        "/profile",
+        "/healthz/details",
+        "/assets/site.js",
+    ])("should require login for %s", async (path) => {
+        const res = await request(app).get(path);
+
+        expect(res.statusCode).toBe(302);
+        expect(res.headers.location).toContain("/oauth2/v2.0/authorize");
+    });
+});
+
+describe("Web app API-aware response tests", () => {
+    let authProvider: WebAppAuthProvider;
+
+    beforeEach(async () => {
+        authProvider = await WebAppAuthProvider.initialize(TEST_WEB_APP_AUTH_CONFIG);
+    });
+
+    const createApp = (options = {}) => createTestWebApp(authProvider, (app) => {
+        app.get("/api/todos", authProvider.guard({ forceLogin: true, requiredAuthContext: "c1" }), (_req, res) => res.json([]));
+        app.get("/api/profile", (_req, _res, next) => next(new InteractionRequiredError("consent_required", "", "", {
+            scopes: TEST_CONSTANTS.DEFAULT_GRAPH_SCOPE,
+        })));
+        app.use(authProvider.interactionErrorHandler());
+    }, options);
+
+    it.each([
+        ["Accept", "application/json"],
+        ["X-Requested-With", "XMLHttpRequest"],
+    ])("should respond to scripts with a login URL when the %s header is %s", async (header, value) => {
+        const res = await request(createApp()).get("/api/todos").set(header, value);
+
+        expect(res.statusCode).toBe(401);
+        expect(res.body.error).toBe(ErrorMessages.LOGIN_REQUIRED);
+        expect(res.body.login_url).toContain("/oauth2/v2.0/authorize");
+        expect(res.body.scopes).toEqual([]);
+        expect(JSON.parse(res.body.claims).id_token.acrs.value).toBe("c1");
+    });
+
+    it("should respond to fetch() with a login URL when it accepts any content type", async () => {
+        const res = await request(createApp()).get("/api/todos")
+            .set("Accept", "*/*")
+            .set("Sec-Fetch-Mode", "cors")
+            .set("Sec-Fetch-Dest", "empty");
+
+        expect(res.statusCode).toBe(401);
+        expect(res.body.error).toBe(ErrorMessages.LOGIN_REQUIRED);
+    });
+
+    it("should keep redirecting browsers to the authorize endpoint", async () => {
+        const res = await request(createApp()).get("/api/todos").set("Accept", "text/html,application/xhtml+xml,*/*;q=0.8");
+
+        expect(res.statusCode).toBe(302);
+        expect(res.headers.location).toContain("/oauth2/v2.0/authorize");
+    });
+
+    it.each([
+        ["a navigation that accepts any content type", { "Accept": "*/*", "Sec-Fetch-Mode": "navigate", "Sec-Fetch-Dest": "document" }],
+        ["a script that asks for HTML", { "Accept": "text/html", "Sec-Fetch-Mode": "cors", "Sec-Fetch-Dest": "empty" }],
+    ])("should redirect %s to the authorize endpoint", async (_description, headers) => {
+        const res = await request(createApp()).get("/api/todos").set(headers);
+
+        expect(res.statusCode).toBe(302);
+        expect(res.headers.location).toContain("/oauth2/v2.0/authorize");
+    });
+
+    it("should respond to scripts with a login URL when all routes are protected", async () => {
+        const res = await request(createApp({ protectAllRoutes: true })).get("/api/data").set("Accept", "application/json");
+
+        expect(res.statusCode).toBe(401);
+        expect(res.body.error).toBe(ErrorMessages.LOGIN_REQUIRED);
+    });
+
+    it("should respond to scripts with the required scopes when interaction is required", async () => {
+        const agent = request.agent(createApp());
+        await signIn(agent);
+
+        const res = await agent.get("/api/profile").set("Accept", "application/json");
+
+        expect(res.statusCode).toBe(401);
+        expect(res.body.error).toBe(ErrorMessages.INTERACTION_REQUIRED);
+        expect(res.body.scopes).toEqual(TEST_CONSTANTS.DEFAULT_GRAPH_SCOPE);
+        expect(getRedirectParams(res.body.login_url).get("scope")).toContain(TEST_CONSTANTS.DEFAULT_GRAPH_SCOPE[0]);
+    });
+});
+
+describe("Web app access denied handler tests", () => {
+    let authProvider: WebAppAuthProvider;
+
+    beforeEach(async () => {
+        authProvider = await WebAppAuthProvider.initialize(TEST_WEB_APP_AUTH_CONFIG);
+    });
+
+    const signInWithHandler = async (options?: AccessDeniedHandlerOptions) => {
+        const agent = request.agent(createTestWebApp(authProvider, (app) => {
+            app.get("/admin", authProvider.guard({
+                forceLogin: false,
+                idTokenClaims: { roles: ["TaskAdmin"], tid: TEST_CONSTANTS.ID_TOKEN_CLAIMS.tid },
+            }), (_req, res) => res.sendStatus(200));
+            app.get("/reports", authProvider.guard({ forceLogin: false, predicate: () => false }), (_req, res) => res.sendStatus(200));
+            app.use(authProvider.accessDeniedHandler(options));
+        }));
+
+        await signIn(agent, { ...TEST_CONSTANTS.ID_TOKEN_CLAIMS, roles: ["TaskUser"] });
+
+        return agent;
+    };
+
+    it("should respond to scripts with 403 and the claims that are not satisfied", async () => {
+        const agent = await signInWithHandler();
+
+        const res = await agent.get("/admin").set("Accept", "application/json");
+
+        expect(res.statusCode).toBe(403);
+        expect(res.body).toEqual({ error: "Forbidden", route: "/admin", requirement: { claims: { roles: ["TaskAdmin"] } } });
+        expect((await agent.get("/reports").set("Accept", "application/json")).body.requirement).toEqual({ predicate: true });
+    });
+
+    it("should respond with 401 to unauthenticated requests", async () => {
+        const app = createTestWebApp(authProvider, (app) => {
+            app.get("/admin", authProvider.guard({ forceLogin: false }), (_req, res) => res.sendStatus(200));
+            app.use(authProvider.accessDeniedHandler());
+        });
+
+        const res = await request(app).get("/admin");
+
+        expect(res.statusCode).toBe(401);
+        expect(res.text).toBe("Unauthorized");
+    });
+
+    it("should hand the error to a custom render hook", async () => {
+        const agent = await signInWithHandler({
+            render: (error, _req, res) => {
+                res.send(`${error.route} requires ${Object.keys(error.requirement?.claims || {}).join(", ")}`);
+            },
+        });
+
+        const res = await agent.get("/admin");
+
+        expect(res.statusCode).toBe(403);
+        expect(res.text).toBe("/admin requires roles");
+    });
+});
+
+describe("Web app request replay tests", () => {
+    const ORIGIN = "http://localhost";
+
+    /**
+     * Submits a form to a protected route without a session, and completes the login that it starts
+     */
+    const submitForm = async (config: Partial<WebAppAuthConfig>, form: string, origin = ORIGIN) => {
+        const authProvider = await WebAppAuthProvider.initialize({ ...TEST_WEB_APP_AUTH_CONFIG, ...config } as WebAppAuthConfig);
+
+        const agent = request.agent(createTestWebApp(authProvider, (app) => {
+            app.post("/todolist", (req, res) => res.json(req.body));
+        }, { protectAllRoutes: true }));
+
+        const loginResponse = await agent.post("/todolist").set("Host", "localhost").set("Origin", origin).type("form").send(form);
+        const { redirectResponse } = await completeLogin(agent, loginResponse.headers.location);
+
+        return redirectResponse;
+    };
+
+    it("should replay a form submission interrupted by a login with an auto-submitting page", async () => {
+        const res = await submitForm({ replayRequests: {} }, new URLSearchParams([
+            ["name", "Buy \"milk\" & <eggs>"],
+            ["tags", "a"],
+            ["tags", "b"],
+        ]).toString());
+
+        expect(res.statusCode).toBe(200);
+        expect(res.headers["cache-control"]).toBe("no-store");
+        expect(res.text).toContain("<form method=\"POST\" action=\"/todolist\">");
+        expect(res.text).toContain("<input type=\"hidden\" name=\"name\" value=\"Buy &quot;milk&quot; &amp; &lt;eggs&gt;\">");
+        expect(res.text).toContain("<input type=\"hidden\" name=\"tags\" value=\"a\"><input type=\"hidden\" name=\"tags\" value=\"b\">");
+    });
+
+    it.each([
+        ["request replay is not configured", {}, ORIGIN],
+        ["the form was submitted from another site", { replayRequests: {} }, "https://attacker.example"],
+        ["the form is too large", { replayRequests: { maxBodySize: 8 } }, ORIGIN],
+    ])("should redirect without replaying if %s", async (_description, config, origin) => {
+        const res = await submitForm(config, "name=Buy+milk", origin);
+
+        expect(res.statusCode).toBe(302);
+        expect(res.headers.location).toBe("/todolist");
+    });
+});
+
+describe("Web app token acquisition tests", () => {
+    let acquireTokenSilentStub: sinon.SinonStub;
+    let app: ReturnType<typeof createTestWebApp>;
+
+    beforeEach(async () => {
+        acquireTokenSilentStub = sinon.stub(ConfidentialClientApplication.prototype, "acquireTokenSilent").resolves(TEST_TOKEN_RESPONSE);
+
+        const authProvider = await WebAppAuthProvider.initialize(TEST_WEB_APP_AUTH_CONFIG);
+
+        app = createTestWebApp(authProvider, (app) => {
+            app.get("/profile", async (req, res, next) => {
+                try {
+                    const tokenResponse = await req.authContext.getToken({ scopes: TEST_CONSTANTS.DEFAULT_GRAPH_SCOPE });
+                    res.json({ accessToken: tokenResponse.accessToken });
+                } catch (error) {
+                    next(error);
+                }
+            });
+            app.use(authProvider.interactionErrorHandler());
+            app.use(reportErrors);
+        });
+    });
+
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    const signInAgent = async () => {
+        const agent = request.agent(app);
+
+        await signIn(agent);
+
+        return agent;
+    };
+
+    it("should resolve to the token response for the signed-in user", async () => {
+        const agent = await signInAgent();
+
+        const res = await agent.get("/profile");
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.accessToken).toBe(TEST_CONSTANTS.ACCESS_TOKEN);
+        expect(acquireTokenSilentStub.firstCall.args[0].account.homeAccountId).toBe(TEST_TOKEN_RESPONSE.account?.homeAccountId);
+    });
+
+    it("should reject with an interaction required error that starts a login with the requested scopes", async () => {
+        const agent = await signInAgent();
+        acquireTokenSilentStub.rejects(new InteractionRequiredAuthError("interaction_required", "Consent required"));
+
+        const res = await agent.get("/profile");
+
+        expect(res.statusCode).toBe(302);
+        expect(getRedirectParams(res.headers.location).get("scope")).toContain(TEST_CONSTANTS.DEFAULT_GRAPH_SCOPE[0]);
+    });
+
+    it("should reject with an interaction required error if no user is signed in", async () => {
+        const error = await new AuthContext(
+            await WebAppAuthProvider.initialize(TEST_WEB_APP_AUTH_CONFIG),
+            { req: { session: {} }, res: {}, next: () => undefined } as unknown as RequestContext
+        ).getToken({ scopes: TEST_CONSTANTS.DEFAULT_GRAPH_SCOPE }).catch((e) => e);
+
+        expect(error).toBeInstanceOf(InteractionRequiredError);
+        expect(error.errorCode).toBe("no_account_found");
+        expect(error.requestOptions.scopes).toEqual(TEST_CONSTANTS.DEFAULT_GRAPH_SCOPE);
+    });
+});
@@ -0,0 +1,54 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+import { ClaimUtils } from "../../src/utils/ClaimUtils";
+import { IdTokenClaims, RequiredClaims } from "../../src/middleware/MiddlewareOptions";
+
+describe("Claim utilities tests", () => {
+    const now = Math.floor(Date.now() / 1000);
+
+    const tokenClaims: IdTokenClaims = {
+        tid: "TENANT_X",
+        level: 2,
+        roles: ["TaskUser", "TaskAdmin"],
+        auth_time: now - 120,
+    };
+
+    const matches = (requiredClaims: RequiredClaims) => Object.keys(ClaimUtils.getUnmatchedClaims(tokenClaims, requiredClaims)).length === 0;
+
+    it("should match exact values and any of the values in an array", () => {
+        expect(matches({ tid: "TENANT_X" })).toBe(true);
+        expect(matches({ level: 2 })).toBe(true);
+        expect(matches({ level: 1 })).toBe(false);
+        expect(matches({ roles: ["TaskAdmin", "Auditor"] })).toBe(true);
+        expect(matches({ roles: "TaskAdmin" })).toBe(true);
+        expect(matches({ roles: ["Auditor"] })).toBe(false);
+        expect(matches({ tid: "TENANT_X", groups: ["GROUP_1"] })).toBe(false);
+    });
+
+    it("should return the required claims that are not matched", () => {
+        expect(ClaimUtils.getUnmatchedClaims(tokenClaims, { tid: "TENANT_X", roles: ["TaskAdmin"] })).toEqual({});
+        expect(ClaimUtils.getUnmatchedClaims(tokenClaims, { tid: "TENANT_X", level: { gt: 2 }, groups: ["GROUP_1"] }))
+            .toEqual({ level: { gt: 2 }, groups: ["GROUP_1"] });
+    });
+
+    it("should match all-of, any-of and none-of conditions", () => {
+        expect(matches({ roles: { allOf: ["TaskUser", "TaskAdmin"] } })).toBe(true);
+        expect(matches({ roles: { allOf: ["TaskUser", "Auditor"] } })).toBe(false);
+        expect(matches({ roles: { anyOf: ["Auditor", "TaskUser"] } })).toBe(true);
+        expect(matches({ roles: { noneOf: ["Auditor"] } })).toBe(true);
+        expect(matches({ roles: { noneOf: ["TaskAdmin"] } })).toBe(false);
+        expect(matches({ groups: { noneOf: ["GROUP_1"] } })).toBe(true);
+        expect(matches({ groups: { anyOf: ["GROUP_1"], noneOf: ["GROUP_2"] } })).toBe(false);
+    });
+
+    it("should match numeric comparisons and maximum age", () => {
+        expect(matches({ level: { gte: 2, lt: 3 } })).toBe(true);
+        expect(matches({ level: { gt: 2 } })).toBe(false);
+        expect(matches({ auth_time: { maxAge: 300 } })).toBe(true);
+        expect(matches({ auth_time: { maxAge: 60 } })).toBe(false);
+        expect(matches({ tid: { lte: 1 } })).toBe(false);
+    });
+});
@@ -0,0 +1,29 @@
+/*
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+import { HeaderUtils } from "../../src/utils/HeaderUtils";
+
+describe("Header utilities tests", () => {
+    const claims = "{\"access_token\":{\"nbf\":{\"essential\":true,\"value\":\"1604106651\"}}}";
+    const encodedClaims = Buffer.from(claims).toString("base64");
+
+    it("should parse the auth-params of a WWW-Authenticate header", () => {
+        const header = `Bearer realm="", authorization_uri="https://login.microsoftonline.com/common/oauth2/authorize", error=insufficient_claims, claims="${encodedClaims}"`;
+
+        expect(HeaderUtils.parseAuthenticateHeader(header)).toEqual({
+            realm: "",
+            authorization_uri: "https://login.microsoftonline.com/common/oauth2/authorize",
+            error: "insufficient_claims",
+            claims: encodedClaims,
+        });
+    });
+
+    it("should return the decoded claims of a claims challenge", () => {
+        expect(HeaderUtils.getClaimsChallenge(`Bearer error="insufficient_claims", claims="${encodedClaims}"`)).toBe(claims);
+        expect(HeaderUtils.getClaimsChallenge(`Bearer error="invalid_token", claims="${encodedClaims}"`)).toBeNull();
+        expect(HeaderUtils.getClaimsChallenge("Bearer error=\"invalid_token\"")).toBeNull();
+        expect(HeaderUtils.getClaimsChallenge(null)).toBeNull();
+    });
+});
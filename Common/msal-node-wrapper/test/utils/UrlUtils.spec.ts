@@ -3,6 +3,7 @@
  * Licensed under the MIT License.
  */
 
+import { Request } from "express";
 import { UrlUtils } from "../../src/utils/UrlUtils";
 
 describe("Url utilities tests", () => {
@@ -33,4 +34,42 @@ describe("Url utilities tests", () => {
         expect(UrlUtils.getPathFromUrl(url4)).toEqual("/path/to/resource");
         expect(UrlUtils.getPathFromUrl(url5)).toEqual("/path/to/resource");
     });
+
+    it("should only allow redirects to this app or to allowed origins and paths", () => {
+        const req = {
+            protocol: "https",
+            hostname: "app.contoso.com",
+            get: () => "app.contoso.com",
+        } as unknown as Request;
+
+        expect(UrlUtils.getSafeRedirectUri(req, "/profile")).toBe("/profile");
+        expect(UrlUtils.getSafeRedirectUri(req, "https://app.contoso.com/profile")).toBe("https://app.contoso.com/profile");
+        expect(UrlUtils.getSafeRedirectUri(req, undefined)).toBe("/");
+        expect(UrlUtils.getSafeRedirectUri(req, "https://fabrikam.com")).toBe("/");
+        expect(UrlUtils.getSafeRedirectUri(req, "//fabrikam.com")).toBe("/");
+        expect(UrlUtils.getSafeRedirectUri(req, "/\\fabrikam.com")).toBe("/");
+        expect(UrlUtils.getSafeRedirectUri(req, "javascript:alert(1)")).toBe("/");
+
+        const allowlist = {
+            origins: ["https://fabrikam.com"],
+            paths: ["/home", "/profile"],
+            fallbackUri: "/home",
+        };
+
+        expect(UrlUtils.getSafeRedirectUri(req, "https://fabrikam.com/home/page", allowlist)).toBe("https://fabrikam.com/home/page");
+        expect(UrlUtils.getSafeRedirectUri(req, "/profile?tab=1", allowlist)).toBe("/profile?tab=1");
+        expect(UrlUtils.getSafeRedirectUri(req, "/profiles", allowlist)).toBe("/home");
+        expect(UrlUtils.getSafeRedirectUri(req, "/admin", allowlist)).toBe("/home");
+        expect(UrlUtils.getSafeRedirectUri(req, "https://contoso.com/home", allowlist)).toBe("/home");
+    });
+
+    it("should match paths against route patterns", () => {
+        expect(UrlUtils.matchesRoutePattern("/todolist", "/todolist")).toBe(true);
+        expect(UrlUtils.matchesRoutePattern("/TodoList/", "/todolist")).toBe(true);
+        expect(UrlUtils.matchesRoutePattern("/todolist/42", "/todolist/:id")).toBe(true);
+        expect(UrlUtils.matchesRoutePattern("/dashboard/reports/2024", "/dashboard/*")).toBe(true);
+        expect(UrlUtils.matchesRoutePattern("/todolist/42", "/todolist")).toBe(false);
+        expect(UrlUtils.matchesRoutePattern("/todolist", "/todolist/:id")).toBe(false);
+        expect(UrlUtils.matchesRoutePattern("/todolists", "/todolist")).toBe(false);
+    });
 });